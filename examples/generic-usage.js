@@ -17,7 +17,8 @@ async function demonstrateGenericUsage() {
       password: "LTd.cwsZD3vbyJBT"
     };
     
-    const jamfResult = await runner.run('./scripts/jamf-device-fetcher.js', jamfCredentials);
+    // The fetcher emits devices as records; this example only needs the counts in its result
+    const jamfResult = await runner.run('./scripts/jamf-device-fetcher.js', jamfCredentials, { onRecords: async () => {} });
     
     if (jamfResult.success) {
       console.log(`✅ Jamf script completed: ${jamfResult.metadata.totalDevices} devices`);
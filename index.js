@@ -1,50 +1,150 @@
 #!/usr/bin/env node
 
 const VMRunnerIvm = require('./lib/vm-runner-ivm');
+const CredentialVault = require('./lib/credential-vault');
+const ExecutionLog = require('./lib/execution-log');
+const { resolveSinkSecrets, resultRecords } = require('./lib/result-sinks');
+const { formatRecords, createEncoder, validateFormat, parseColumns, FORMAT_BY_EXTENSION } = require('./lib/output-format');
+const fs = require('fs');
 const path = require('path');
 
 /**
  * Main entry point for running user scripts in isolated VM
  */
 class ScriptRunner {
-  constructor() {
-    this.vmRunner = new VMRunnerIvm();
+  constructor(options = {}) {
+    this.vmRunner = new VMRunnerIvm(options);
+    this.vault = options.vault || new CredentialVault();
   }
 
   /**
    * Run a script with credentials (JSON object)
    * @param {string|object} scriptSource - File path or script source object
-   * @param {object} credentials - Credentials JSON object
+   * @param {object} credentials - Credentials JSON object (omit when using options.credentialRef)
+   * @param {object} options - Execution options ({ signal, log, egress, httpDefaults, params, sinks }, see VMRunnerIvm.runScript),
+   *   plus { credentialRef } to use a named credential set from the vault
    */
-  async run(scriptSource, credentials) {
+  async run(scriptSource, credentials, options = {}) {
     try {
-      const result = await this.vmRunner.runScript(scriptSource, credentials);
+      const { credentialRef, ...runOptions } = options;
+      let runCredentials = credentials;
+
+      // Resolve named credentials at the last moment so secrets are only held while the script runs
+      if (credentialRef) {
+        if (credentials) {
+          throw new Error('Provide either credentials or a credentialRef, not both');
+        }
+        const resolved = await this.vault.resolve(credentialRef);
+        console.log(`🔐 Using credential reference: ${credentialRef}`);
+        runCredentials = resolved.credentials;
+        runOptions.httpDefaults = { ...resolved.httpDefaults, ...runOptions.httpDefaults };
+      }
+
+      // Webhook sinks may sign with a vault secret (secretRef)
+      if (runOptions.sinks) {
+        runOptions.sinks = await resolveSinkSecrets(runOptions.sinks, this.vault);
+      }
+
+      const result = await this.vmRunner.runScript(scriptSource, runCredentials || {}, runOptions);
       return result;
     } catch (error) {
+      // Failures before the runner starts (e.g. vault errors) must still close the caller's log
+      if (options.log) {
+        options.log.finish('failed', { error: error.message });
+      }
       console.error("💥 Execution failed:", error.message);
+      if (error.errors) {
+        error.errors.forEach(fieldError => console.error(`   - ${fieldError.field}: ${fieldError.message}`));
+      }
       throw error;
     }
   }
 
+  /**
+   * Script cache counters: { entries, maxEntries, hits, misses, sourceHits, rejected, evictions, invalidations }
+   */
+  getScriptCacheStats() {
+    return this.vmRunner.scriptCache.stats();
+  }
+
+  /**
+   * Drop cached code run under a script name, after it was uploaded, rolled back or deleted
+   */
+  invalidateScript(scriptName) {
+    return this.vmRunner.scriptCache.invalidate(scriptName);
+  }
+
   /**
    * CLI interface - supports both old format and new JSON format
    */
   async cli() {
-    const args = process.argv.slice(2);
+    const { positional: args, flags } = parseCliArgs(process.argv.slice(2));
+    const credentialRef = flags['credential-ref'];
+
+    const jsonFlags = {};
+    for (const name of ['params', 'sinks']) {
+      if (flags[name] === undefined) continue;
+      try {
+        jsonFlags[name] = JSON.parse(flags[name]);
+      } catch (error) {
+        console.log(`❌ Invalid --${name} JSON: ${error.message}`);
+        this.showUsage();
+        return;
+      }
+    }
+    const { params, sinks } = jsonFlags;
+
+    // --format / --output export the result records instead of printing a sample
+    let exportOptions = null;
+    if (flags.format !== undefined || flags.output !== undefined) {
+      const output = typeof flags.output === 'string' ? flags.output : null;
+      const format = typeof flags.format === 'string'
+        ? flags.format
+        : (output && FORMAT_BY_EXTENSION[path.extname(output).toLowerCase()]) || 'json';
+      try {
+        validateFormat(format);
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+        this.showUsage();
+        return;
+      }
+      if (format === 'xlsx' && !output) {
+        console.log('❌ --format xlsx needs --output <file>');
+        this.showUsage();
+        return;
+      }
+      exportOptions = { format, output, columns: parseColumns(flags.columns) };
+      if (!output) {
+        // stdout carries the export; status lines, script logs and warnings go to stderr
+        console.log = console.error;
+        console.info = console.error;
+      }
+    }
     
-    if (args.length < 2) {
+    if (flags.help || args.length < 1 || (args.length < 2 && !credentialRef)) {
       this.showUsage();
       return;
     }
 
     const [scriptSourceArg, credentialsArg] = args;
-    const scriptSource = scriptSourceArg || './scripts/jamf-device-fetcher.js';
+    let scriptSource = scriptSourceArg || './scripts/jamf-device-fetcher.js';
+
+    // Source objects (S3, URL, ...) are passed as JSON
+    if (scriptSource.trim().startsWith('{')) {
+      try {
+        scriptSource = JSON.parse(scriptSource);
+      } catch (error) {
+        console.log(`❌ Invalid script source JSON: ${error.message}`);
+        this.showUsage();
+        return;
+      }
+    }
 
     let credentials;
     
     // Try to parse credentials as JSON first
     try {
-      credentials = JSON.parse(credentialsArg);
+      credentials = credentialRef ? undefined : JSON.parse(credentialsArg);
     } catch (error) {
       // Fallback to old format for backward compatibility
       if (args.length >= 4) {
@@ -59,7 +159,20 @@ class ScriptRunner {
     }
 
     try {
-      const result = await this.run(scriptSource, credentials);
+      const log = new ExecutionLog();
+      const exportWriter = exportOptions ? this.createExportWriter(exportOptions) : null;
+      const result = await this.run(scriptSource, credentials, {
+        credentialRef,
+        params,
+        sinks,
+        log,
+        // Without --output, --format or a sink, emitted records fail the run instead of being dropped
+        onRecords: exportWriter ? exportWriter.write : (sinks ? undefined : rejectRecords)
+      });
+
+      log.deliveries.forEach(delivery => {
+        console.log(`📦 Delivered ${delivery.records} records to ${delivery.type} ${delivery.target}`);
+      });
       
       if (result.success) {
         console.log("✅ Script executed successfully!");
@@ -74,8 +187,12 @@ class ScriptRunner {
           console.log("   const metadata = result.metadata; // Additional metadata");
         }
         
-        // Show sample data if available
-        if (result.data && Array.isArray(result.data) && result.data.length > 0) {
+        // Export all records, or show sample data if available
+        if (exportWriter) {
+          await exportWriter.finish(result);
+        } else if (log.emitted > 0) {
+          console.log(`\n📤 Script emitted ${log.emitted} records`);
+        } else if (result.data && Array.isArray(result.data) && result.data.length > 0) {
           console.log("\n📊 Sample data:");
           console.log(JSON.stringify(result.data.slice(0, 2), null, 2));
         } else if (result.data) {
@@ -91,22 +208,104 @@ class ScriptRunner {
     }
   }
 
+  /**
+   * Export writer for records the script emits: they are appended to the file (or stdout)
+   * as they arrive, except XLSX, which is built once the run ends. Scripts that emit nothing
+   * are exported from their return value instead.
+   * @param {object} options - { format, output, columns }
+   */
+  createExportWriter(options) {
+    const { format, output, columns } = options;
+    const encoder = format === 'xlsx' ? null : createEncoder(format, { columns });
+    const collected = [];
+    let handle = null;
+    let count = 0;
+
+    const writeChunk = async (chunk) => {
+      if (!output) {
+        process.stdout.write(chunk);
+        return;
+      }
+      handle = handle || await fs.promises.open(output, 'w');
+      await handle.write(chunk);
+    };
+
+    return {
+      write: async (records) => {
+        count += records.length;
+        if (encoder) {
+          await writeChunk(encoder.write(records));
+        } else {
+          records.forEach(record => collected.push(record));
+        }
+      },
+      finish: async (result) => {
+        if (count === 0) {
+          return this.exportResult(result, options);
+        }
+        if (encoder) {
+          await writeChunk(encoder.end());
+        } else {
+          await writeChunk(formatRecords(collected, format, { columns }).body);
+        }
+        if (handle) {
+          await handle.close();
+        }
+        if (output) {
+          console.log(`\n💾 Wrote ${count} records to ${output} (${format})`);
+        }
+      }
+    };
+  }
+
+  /**
+   * Write the result's records in a format to a file, or to stdout
+   * @param {object} options - { format, output, columns }
+   */
+  async exportResult(result, { format, output, columns }) {
+    const records = resultRecords(result);
+    const { body } = formatRecords(records, format, { columns });
+    if (output) {
+      await fs.promises.writeFile(output, body);
+      console.log(`\n💾 Wrote ${records.length} records to ${output} (${format})`);
+    } else {
+      process.stdout.write(body);
+    }
+  }
+
   /**
    * Show usage information
    */
   showUsage() {
     console.log(`
-Usage: node index.js <script-source> <credentials-json>
+Usage: node index.js <script-source> <credentials-json> [options]
+       node index.js <script-source> --credential-ref <name> [options]
+
+Options:
+  --params <json>      Run-time parameters passed to run(credentials, params)
+  --sinks <json>       Result sinks (file, webhook, sqlite)
+  --format <format>    Export result records as json, ndjson, csv or xlsx
+  --output <file>      Write the export to a file (format defaults to the extension)
+  --columns <list>     Comma-separated columns to export, e.g. id,name,general.managed
 
 Script Sources:
   # File path (current)
   ./scripts/jamf-device-fetcher.js
   
-  # S3 source (future)
+  # S3 source (signed with AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY, optional versionId)
   '{"type":"s3","bucket":"my-bucket","key":"scripts/jamf-fetcher.js"}'
   
-  # Database source (future)
-  '{"type":"database","scriptId":"jamf-fetcher-v1"}'
+  # S3-compatible store such as MinIO (path-style addressing)
+  '{"type":"s3","bucket":"scripts","key":"jamf-fetcher.js","endpoint":"http://localhost:9000"}'
+  
+  # URL source pinned to a hash
+  '{"type":"url","url":"https://artifacts.example.com/jamf-fetcher.js","integrity":"sha256-..."}'
+  
+  # Git source: branch, tag or commit of a file in a repository (remote, file:// or local bare repo)
+  '{"type":"git","repo":"https://github.com/acme/it-scripts.git","ref":"main","path":"jamf/device-fetcher.js"}'
+  
+  # Database source (SCRIPT_DATABASE_FILE, optional version number or tag)
+  '{"type":"database","scriptId":"jamf-fetcher.js","version":"stable"}'
 
 Examples:
   # File with JSON credentials
@@ -115,6 +314,18 @@ Examples:
   # S3 script with credentials
   node index.js '{"type":"s3","bucket":"scripts","key":"jamf-fetcher.js"}' '{"subdomain":"company","username":"admin","password":"pass"}'
   
+  # Named credentials from the encrypted vault (needs CREDENTIAL_MASTER_KEY)
+  node index.js ./scripts/jamf-device-fetcher.js --credential-ref jamf-prod
+  
+  # Run-time parameters, passed to run(credentials, params)
+  node index.js ./scripts/jamf-device-analyzer.js --credential-ref jamf-prod --params '{"staleDays":30}'
+  
+  # Export all devices as a spreadsheet with selected (flattened) columns
+  node index.js ./scripts/jamf-device-fetcher.js --credential-ref jamf-prod --output devices.xlsx --columns id,name,serialNumber
+  
+  # Deliver result records to a CSV file under ./data/output (and/or webhook, sqlite sinks)
+  node index.js ./scripts/jamf-device-fetcher.js --credential-ref jamf-prod --sinks '{"type":"file","path":"devices.csv"}'
+  
   # Legacy format (backward compatibility)
   node index.js josyscom admin mypassword ./scripts/jamf-device-fetcher.js
 
@@ -130,6 +341,42 @@ Credential format examples:
   }
 }
 
+/**
+ * onRecords for CLI runs with nowhere to put emitted records
+ */
+async function rejectRecords() {
+  const error = new Error('Script emitted records but nothing receives them: use --format <format> or --output <file>, or add --sinks');
+  error.code = 'EMIT_UNDELIVERABLE';
+  throw error;
+}
+
+/**
+ * Split CLI arguments into positional arguments and --flags (--name value or --name=value)
+ */
+function parseCliArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { positional, flags };
+}
+
 // Export for programmatic use
 module.exports = ScriptRunner;
 
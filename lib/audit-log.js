@@ -0,0 +1,53 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Audit Log - append-only JSON-lines record of who did what through the API
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.AUDIT_LOG_FILE || './data/audit.log';
+    // Keeps appends in order
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Append an audit event
+   * @param {object} event - { actor, roles, action, status, ... }; a timestamp is added
+   */
+  record(event) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...event }) + '\n';
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, line, { mode: 0o600 });
+      })
+      .catch(error => console.error(`❌ Failed to write audit log ${this.filePath}:`, error.message));
+    return this.writeQueue;
+  }
+
+  /**
+   * Express middleware recording every request once its response has been sent
+   * Routes can add details (script, executionId, ...) to req.audit
+   */
+  middleware() {
+    return (req, res, next) => {
+      res.on('finish', () => {
+        const principal = req.principal;
+        this.record({
+          actor: principal ? principal.id : 'anonymous',
+          authType: principal ? principal.type : null,
+          roles: principal ? principal.roles : [],
+          action: `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`,
+          path: req.path,
+          status: res.statusCode,
+          ip: req.ip,
+          ...req.audit
+        });
+      });
+      next();
+    };
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// What each role may do; a principal gets the union of its roles' permissions
+const ROLE_PERMISSIONS = {
+  viewer: ['read'],
+  author: ['read', 'upload'],
+  operator: ['read', 'execute'],
+  admin: ['read', 'upload', 'execute', 'delete', 'credentials', 'admin'],
+};
+
+/**
+ * Authenticator - API key and HS256 JWT authentication with role-based permissions
+ *
+ * API keys are configured in a JSON file (API_KEYS_FILE, default ./data/api-keys.json):
+ *   { "keys": [{ "id": "ci-bot", "keyHash": "<sha256 hex of the key>", "roles": ["operator"], "scripts": ["jamf-*.js"] }] }
+ * ADMIN_API_KEY adds an unscoped admin key. JWTs are signed with JWT_SECRET and carry
+ * { sub, roles, scripts, exp }. `scripts` restricts a principal to matching script names.
+ */
+class Authenticator {
+  constructor(options = {}) {
+    this.disabled = options.disabled !== undefined ? options.disabled : process.env.AUTH_DISABLED === 'true';
+    this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET || null;
+    this.keys = options.keys || loadKeys(options.keysFile || process.env.API_KEYS_FILE || './data/api-keys.json');
+
+    const adminKey = options.adminKey || process.env.ADMIN_API_KEY;
+    if (adminKey) {
+      this.keys.push({ id: 'admin', keyHash: hashKey(adminKey), roles: ['admin'] });
+    }
+  }
+
+  /**
+   * Whether any way to authenticate is configured
+   */
+  isConfigured() {
+    return this.keys.length > 0 || Boolean(this.jwtSecret);
+  }
+
+  /**
+   * Identify the caller from X-API-Key or an Authorization: Bearer JWT
+   * @returns {object} Principal { id, type, roles, permissions, scripts }
+   * @throws {Error} with code AUTH_REQUIRED or AUTH_INVALID
+   */
+  authenticate(req) {
+    if (this.disabled) {
+      return toPrincipal('anonymous', 'none', ['admin'], null);
+    }
+
+    const apiKey = req.get('x-api-key');
+    if (apiKey) {
+      return this.authenticateKey(apiKey);
+    }
+
+    const authorization = req.get('authorization') || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    if (bearer) {
+      return this.authenticateJwt(bearer[1].trim());
+    }
+
+    throw authError('Authentication required: send X-API-Key or Authorization: Bearer <jwt>', 'AUTH_REQUIRED');
+  }
+
+  authenticateKey(apiKey) {
+    const presented = Buffer.from(hashKey(apiKey), 'hex');
+    const entry = this.keys.find(key => {
+      const expected = Buffer.from(key.keyHash || '', 'hex');
+      return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+    });
+    if (!entry || entry.disabled) {
+      throw authError('Invalid API key', 'AUTH_INVALID');
+    }
+    return toPrincipal(entry.id, 'api-key', [].concat(entry.roles || entry.role || []), entry.scripts || null);
+  }
+
+  authenticateJwt(token) {
+    if (!this.jwtSecret) {
+      throw authError('JWT authentication is not configured', 'AUTH_INVALID');
+    }
+    const claims = verifyJwt(token, this.jwtSecret);
+    if (!claims.sub) {
+      throw authError('Invalid token: missing sub claim', 'AUTH_INVALID');
+    }
+    return toPrincipal(claims.sub, 'jwt', [].concat(claims.roles || claims.role || []), claims.scripts || null);
+  }
+
+  /**
+   * Express middleware attaching req.principal, or answering 401
+   */
+  middleware() {
+    return (req, res, next) => {
+      try {
+        req.principal = this.authenticate(req);
+        next();
+      } catch (error) {
+        res.status(401).json({
+          success: false,
+          error: error.message
+        });
+      }
+    };
+  }
+
+  /**
+   * Express middleware requiring a permission (read, upload, execute, delete, credentials, admin)
+   */
+  authorize(permission) {
+    return (req, res, next) => {
+      if (req.principal && req.principal.permissions.includes(permission)) {
+        return next();
+      }
+      req.audit = { ...req.audit, denied: `missing permission: ${permission}` };
+      res.status(403).json({
+        success: false,
+        error: `Forbidden: requires ${permission} permission`
+      });
+    };
+  }
+
+  /**
+   * Whether the principal is scoped to include the script name
+   */
+  canAccessScript(principal, scriptName) {
+    if (!principal || !principal.scripts) {
+      return true;
+    }
+    return Boolean(scriptName) && principal.scripts.some(pattern => globToRegExp(pattern).test(scriptName));
+  }
+}
+
+function toPrincipal(id, type, roles, scripts) {
+  const unknown = roles.filter(role => !ROLE_PERMISSIONS[role]);
+  if (unknown.length > 0) {
+    throw authError(`Unknown role: ${unknown.join(', ')}`, 'AUTH_INVALID');
+  }
+  const permissions = Array.from(new Set(roles.flatMap(role => ROLE_PERMISSIONS[role])));
+  return { id, type, roles, permissions, scripts: Array.isArray(scripts) ? scripts : null };
+}
+
+function loadKeys(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new Error(`Failed to read API keys from ${filePath}: ${error.message}`);
+  }
+  console.log(`🔑 Loaded ${(config.keys || []).length} API keys from ${filePath}`);
+  return config.keys || [];
+}
+
+/**
+ * SHA-256 hex digest of an API key, as stored in the keys file
+ */
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * Sign an HS256 JWT
+ * @param {object} claims - Payload, e.g. { sub, roles, scripts }
+ * @param {object} options - { expiresIn } seconds from now
+ */
+function signJwt(claims, secret, options = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iat: now, ...claims };
+  if (options.expiresIn) {
+    payload.exp = now + options.expiresIn;
+  }
+  const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+  return `${unsigned}.${sign(unsigned, secret)}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ * @throws {Error} with code AUTH_INVALID
+ */
+function verifyJwt(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw authError('Invalid token: malformed JWT', 'AUTH_INVALID');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw authError('Invalid token: malformed JWT', 'AUTH_INVALID');
+  }
+  // Only HS256 is accepted, so "alg: none" and algorithm confusion are rejected
+  if (!header || header.alg !== 'HS256') {
+    throw authError('Invalid token: unsupported algorithm', 'AUTH_INVALID');
+  }
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secret));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw authError('Invalid token: bad signature', 'AUTH_INVALID');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now >= claims.exp) {
+    throw authError('Invalid token: expired', 'AUTH_INVALID');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf) {
+    throw authError('Invalid token: not yet valid', 'AUTH_INVALID');
+  }
+  return claims;
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Convert a script name pattern with * wildcards to an anchored RegExp
+ */
+function globToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function authError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = Authenticator;
+module.exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+module.exports.hashKey = hashKey;
+module.exports.signJwt = signJwt;
+module.exports.verifyJwt = verifyJwt;
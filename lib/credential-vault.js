@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,63}$/;
+
+/**
+ * Credential Vault - file-backed store of named credential sets
+ * Secrets are encrypted with AES-256-GCM using a key derived from the master key
+ * (CREDENTIAL_MASTER_KEY by default); only metadata is ever returned by list/get
+ */
+class CredentialVault {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.CREDENTIAL_VAULT_FILE || './data/credentials.json';
+    this.masterKey = options.masterKey || process.env.CREDENTIAL_MASTER_KEY || null;
+    this.keyCache = new Map();
+    // Serializes read-modify-write updates of the vault file
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Whether a master key is configured
+   */
+  isUnlocked() {
+    return Boolean(this.masterKey);
+  }
+
+  /**
+   * List credential metadata (never secret values)
+   */
+  async list() {
+    const store = await this.readStore();
+    return Object.keys(store.credentials).sort().map(name => toMetadata(name, store.credentials[name]));
+  }
+
+  /**
+   * Get metadata for a single credential set
+   */
+  async get(name) {
+    const store = await this.readStore();
+    const entry = store.credentials[name];
+    if (!entry) {
+      throw vaultError(`Credential '${name}' not found`, 'CREDENTIAL_NOT_FOUND');
+    }
+    return toMetadata(name, entry);
+  }
+
+  /**
+   * Decrypt a credential set for use by the runner
+   * @returns {Promise<{credentials: object, httpDefaults: object}>}
+   */
+  async resolve(name) {
+    const store = await this.readStore();
+    const entry = store.credentials[name];
+    if (!entry) {
+      throw vaultError(`Credential '${name}' not found`, 'CREDENTIAL_NOT_FOUND');
+    }
+
+    const key = this.deriveKey(store.salt);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+      decipher.setAAD(Buffer.from(name, 'utf8'));
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(entry.data, 'base64')),
+        decipher.final()
+      ]);
+      return {
+        credentials: JSON.parse(plaintext.toString('utf8')),
+        httpDefaults: entry.httpDefaults || {},
+      };
+    } catch (error) {
+      throw vaultError(`Failed to decrypt credential '${name}' (wrong master key?)`, 'CREDENTIAL_DECRYPT_FAILED');
+    }
+  }
+
+  /**
+   * Create a credential set
+   * @param {object} secret - Credential values (JSON object)
+   * @param {object} meta - { description, httpDefaults }
+   */
+  async create(name, secret, meta = {}) {
+    validateName(name);
+    return this.withWriteLock(async () => {
+      const store = await this.readStore();
+      if (store.credentials[name]) {
+        throw vaultError(`Credential '${name}' already exists`, 'CREDENTIAL_EXISTS');
+      }
+
+      const now = new Date().toISOString();
+      store.credentials[name] = {
+        ...this.encrypt(store.salt, name, secret),
+        description: meta.description || '',
+        httpDefaults: meta.httpDefaults,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await this.writeStore(store);
+      return toMetadata(name, store.credentials[name]);
+    });
+  }
+
+  /**
+   * Update a credential set; omitted fields keep their current value
+   */
+  async update(name, secret, meta = {}) {
+    return this.withWriteLock(async () => {
+      const store = await this.readStore();
+      const entry = store.credentials[name];
+      if (!entry) {
+        throw vaultError(`Credential '${name}' not found`, 'CREDENTIAL_NOT_FOUND');
+      }
+
+      store.credentials[name] = {
+        ...entry,
+        ...(secret ? this.encrypt(store.salt, name, secret) : {}),
+        description: meta.description !== undefined ? meta.description : entry.description,
+        httpDefaults: meta.httpDefaults !== undefined ? meta.httpDefaults : entry.httpDefaults,
+        updatedAt: new Date().toISOString(),
+      };
+      await this.writeStore(store);
+      return toMetadata(name, store.credentials[name]);
+    });
+  }
+
+  /**
+   * Delete a credential set
+   */
+  async delete(name) {
+    return this.withWriteLock(async () => {
+      const store = await this.readStore();
+      if (!store.credentials[name]) {
+        throw vaultError(`Credential '${name}' not found`, 'CREDENTIAL_NOT_FOUND');
+      }
+      delete store.credentials[name];
+      await this.writeStore(store);
+    });
+  }
+
+  /**
+   * Run an update after any in-flight update has finished
+   */
+  withWriteLock(update) {
+    const result = this.writeQueue.then(update);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  encrypt(salt, name, secret) {
+    if (!secret || typeof secret !== 'object' || Array.isArray(secret)) {
+      throw vaultError('Credential secret must be a JSON object', 'CREDENTIAL_INVALID');
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    // Bind the ciphertext to its name so entries cannot be swapped in the file
+    cipher.setAAD(Buffer.from(name, 'utf8'));
+    const data = Buffer.concat([cipher.update(JSON.stringify(secret), 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      keys: Object.keys(secret),
+    };
+  }
+
+  deriveKey(salt) {
+    if (!this.masterKey) {
+      throw vaultError('Credential vault is locked: set CREDENTIAL_MASTER_KEY', 'VAULT_LOCKED');
+    }
+    if (!this.keyCache.has(salt)) {
+      this.keyCache.set(salt, crypto.scryptSync(this.masterKey, Buffer.from(salt, 'base64'), 32));
+    }
+    return this.keyCache.get(salt);
+  }
+
+  async readStore() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read credential vault ${this.filePath}: ${error.message}`);
+      }
+      return {
+        version: 1,
+        salt: crypto.randomBytes(16).toString('base64'),
+        credentials: {},
+      };
+    }
+  }
+
+  async writeStore(store) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Write to a temp file and rename so a crash never leaves a half-written vault
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+function toMetadata(name, entry) {
+  return {
+    name,
+    description: entry.description,
+    keys: entry.keys,
+    httpDefaults: entry.httpDefaults,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+  };
+}
+
+function validateName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw vaultError('Credential name must be 1-64 characters: letters, digits, ".", "_" or "-"', 'CREDENTIAL_INVALID');
+  }
+}
+
+function vaultError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = CredentialVault;
@@ -0,0 +1,241 @@
+/**
+ * Cron expressions - standard five-field syntax evaluated in an IANA time zone
+ *
+ *   ┌──────── minute (0-59)
+ *   │ ┌────── hour (0-23)
+ *   │ │ ┌──── day of month (1-31)
+ *   │ │ │ ┌── month (1-12 or JAN-DEC)
+ *   │ │ │ │ ┌ day of week (0-7 or SUN-SAT, 0 and 7 are Sunday)
+ *   * * * * *
+ *
+ * Fields accept lists (1,15), ranges (1-5), steps (*\/10, 0-30/5) and the macros
+ * @yearly, @monthly, @weekly, @daily and @hourly. As in Vixie cron, when both day
+ * fields are restricted a day matching either one matches.
+ *
+ * Wall-clock times skipped by a DST change never run; times repeated by one run once.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+// Long enough to reach the next Feb 29 across a skipped leap year (e.g. 2100)
+const MAX_SEARCH_YEARS = 8;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAYS, offset: 0 },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const formatters = new Map();
+
+/**
+ * Parse a cron expression
+ * @returns {object} { expression, minute, hour, dayOfMonth, month, dayOfWeek (Sets), anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} with code CRON_INVALID
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw cronError('Cron expression must be a non-empty string');
+  }
+
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw cronError(`Cron expression "${expression}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const cron = { expression: expression.trim() };
+  FIELDS.forEach((field, index) => {
+    cron[field.name] = parseField(parts[index], field, expression);
+  });
+  // Sunday may be written as 7
+  if (cron.dayOfWeek.delete(7)) {
+    cron.dayOfWeek.add(0);
+  }
+  cron.anyDayOfMonth = parts[2].startsWith('*');
+  cron.anyDayOfWeek = parts[4].startsWith('*');
+  return cron;
+}
+
+function parseField(text, field, expression) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const match = part.match(/^(\*|[^-/]+(?:-[^-/]+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw cronError(`Invalid ${field.name} "${part}" in cron expression "${expression}"`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (match[1] !== '*') {
+      const [from, to] = match[1].split('-');
+      start = parseValue(from, field, expression);
+      // "5/15" means from 5 to the end of the range
+      end = to !== undefined ? parseValue(to, field, expression) : (match[2] ? field.max : start);
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+    if (start > end || step < 1) {
+      throw cronError(`Invalid ${field.name} "${part}" in cron expression "${expression}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+function parseValue(text, field, expression) {
+  const nameIndex = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) {
+    throw cronError(`${field.name} "${text}" in cron expression "${expression}" must be ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * Next time the expression matches, strictly after `after`
+ * @param {object} cron - Result of parseCron
+ * @param {Date} after - Starting point
+ * @param {string} timeZone - IANA time zone the fields are evaluated in (default UTC)
+ * @returns {Date}
+ * @throws {Error} with code CRON_INVALID when the expression can never match (e.g. Feb 30)
+ */
+function nextRun(cron, after, timeZone = 'UTC') {
+  let time = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+  const limit = time + MAX_SEARCH_YEARS * 366 * DAY;
+
+  // Walk forward by days, then hours, then minutes of local wall-clock time
+  while (time < limit) {
+    const wall = wallClock(time, timeZone);
+    if (!cron.month.has(wall.month) || !matchesDay(cron, wall)) {
+      time = startOfNextDay(time, wall, timeZone);
+    } else if (!cron.hour.has(wall.hour)) {
+      time += (60 - wall.minute) * MINUTE;
+    } else if (!cron.minute.has(wall.minute) || isRepeatedWallTime(time, timeZone)) {
+      time += MINUTE;
+    } else {
+      return new Date(time);
+    }
+  }
+  throw cronError(`Cron expression "${cron.expression}" never matches`);
+}
+
+/**
+ * First instant of the next local day; days are 23 or 25 hours long when the offset changes
+ */
+function startOfNextDay(time, wall, timeZone) {
+  const midnight = Date.UTC(wall.year, wall.month - 1, wall.day + 1);
+  const estimate = time + midnight - wallTime(wall);
+  const corrected = estimate + midnight - wallTime(wallClock(estimate, timeZone));
+  // Where midnight itself is skipped, the corrected time falls back into the previous day
+  const correctedWall = wallClock(corrected, timeZone);
+  return Date.UTC(correctedWall.year, correctedWall.month - 1, correctedWall.day) === midnight ? corrected : estimate;
+}
+
+function wallTime(wall) {
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute);
+}
+
+function matchesDay(cron, wall) {
+  const dayOfMonth = cron.dayOfMonth.has(wall.day);
+  const dayOfWeek = cron.dayOfWeek.has(wall.weekday);
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Whether the wall-clock time at `time` already happened earlier (clocks were turned back)
+ */
+function isRepeatedWallTime(time, timeZone) {
+  const offset = utcOffset(time, timeZone);
+  const earlier = utcOffset(time - 3 * HOUR, timeZone);
+  if (earlier <= offset) {
+    return false;
+  }
+  return utcOffset(time - (earlier - offset), timeZone) === earlier;
+}
+
+function utcOffset(time, timeZone) {
+  return wallTime(wallClock(time, timeZone)) - Math.floor(time / MINUTE) * MINUTE;
+}
+
+/**
+ * Local date and time fields of an instant in a time zone
+ */
+function wallClock(time, timeZone) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+  };
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check that a time zone name is known to the runtime (e.g. "Europe/Berlin")
+ * @throws {Error} with code CRON_INVALID
+ */
+function validateTimeZone(timeZone) {
+  if (typeof timeZone === 'string') {
+    try {
+      formatterFor(timeZone);
+      return;
+    } catch (error) {
+      // RangeError for unknown zones, reported below
+    }
+  }
+  throw cronError(`Unknown time zone "${timeZone}"`);
+}
+
+function cronError(message) {
+  const error = new Error(message);
+  error.code = 'CRON_INVALID';
+  return error;
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  validateTimeZone,
+};
@@ -0,0 +1,192 @@
+const dns = require('dns');
+const net = require('net');
+
+// Address ranges sandbox scripts may not reach unless private networks are allowed
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+// Request options a sandbox script may not set because they can bypass the policy
+const UNSAFE_REQUEST_OPTIONS = ['proxy', 'socketPath', 'baseURL', 'httpAgent', 'httpsAgent', 'transport', 'lookup', 'beforeRedirect'];
+
+/**
+ * Egress Policy - decides which URLs sandbox HTTP helpers may reach
+ *
+ * Options:
+ * - allowedHosts: host names, '*.example.com' wildcards (empty = any host)
+ * - allowedUrlPatterns: URL patterns with '*' wildcards, e.g. 'https://api.example.com/v1/*'
+ * - allowedMethods: HTTP methods (empty = any method)
+ * - blockPrivateNetworks: reject loopback/private/link-local addresses after DNS resolution (default true)
+ */
+class EgressPolicy {
+  constructor(options = {}) {
+    this.allowedHosts = (options.allowedHosts || []).map(host => host.toLowerCase());
+    this.allowedUrlPatterns = options.allowedUrlPatterns || [];
+    this.allowedMethods = (options.allowedMethods || []).map(method => method.toUpperCase());
+    this.blockPrivateNetworks = options.blockPrivateNetworks !== false;
+
+    this.urlMatchers = this.allowedUrlPatterns.map(patternToRegExp);
+  }
+
+  /**
+   * Build a policy from a policy instance, plain options object or nothing
+   */
+  static from(policy) {
+    if (policy instanceof EgressPolicy) {
+      return policy;
+    }
+    return new EgressPolicy(policy || {});
+  }
+
+  /**
+   * Check a request before it is sent
+   * @throws {Error} with code EGRESS_DENIED when the request is not allowed
+   */
+  checkRequest(method, url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw egressError(`invalid URL ${url}`, { method, url });
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw egressError(`protocol ${parsed.protocol} is not allowed`, { method, url });
+    }
+
+    const upperMethod = String(method).toUpperCase();
+    if (this.allowedMethods.length > 0 && !this.allowedMethods.includes(upperMethod)) {
+      throw egressError(`method ${upperMethod} is not allowed`, { method, url });
+    }
+
+    if (!this.isDestinationAllowed(parsed)) {
+      throw egressError(`host ${parsed.hostname} is not in the allowlist`, { method, url });
+    }
+
+    // IP literals never go through DNS lookup, so check them here
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+      this.checkAddress(hostname, { method, url });
+    }
+  }
+
+  /**
+   * Whether the URL matches the host allowlist or one of the URL patterns
+   */
+  isDestinationAllowed(parsed) {
+    if (this.allowedHosts.length === 0 && this.urlMatchers.length === 0) {
+      return true;
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+    const hostAllowed = this.allowedHosts.some(pattern => {
+      if (pattern.startsWith('*.')) {
+        return hostname.endsWith(pattern.slice(1));
+      }
+      return hostname === pattern;
+    });
+
+    return hostAllowed || this.urlMatchers.some(matcher => matcher.test(parsed.href));
+  }
+
+  /**
+   * Reject resolved addresses in blocked ranges
+   */
+  checkAddress(address, details = {}) {
+    if (!this.blockPrivateNetworks) {
+      return;
+    }
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (blockList.check(address, type)) {
+      throw egressError(`address ${address} is in a blocked private range`, { ...details, address });
+    }
+  }
+
+  /**
+   * DNS lookup function for axios that validates every resolved address,
+   * so the connection cannot be pointed at a private address after the check
+   */
+  createLookup(details = {}) {
+    return (hostname, options, callback) => {
+      dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+          return callback(error);
+        }
+
+        try {
+          addresses.forEach(entry => this.checkAddress(entry.address, { ...details, hostname }));
+        } catch (policyError) {
+          return callback(policyError);
+        }
+
+        if (options.all) {
+          return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+      });
+    };
+  }
+
+  /**
+   * Apply the policy to axios request options
+   * Strips options that could bypass the policy and re-checks redirect targets
+   */
+  applyToRequest(method, url, opts = {}) {
+    this.checkRequest(method, url);
+
+    const safeOpts = { ...opts };
+    UNSAFE_REQUEST_OPTIONS.forEach(key => delete safeOpts[key]);
+
+    return {
+      ...safeOpts,
+      lookup: this.createLookup({ method, url }),
+      beforeRedirect: (redirectOptions) => {
+        this.checkRequest(method, redirectOptions.href);
+      },
+    };
+  }
+
+  toJSON() {
+    return {
+      allowedHosts: this.allowedHosts,
+      allowedUrlPatterns: this.allowedUrlPatterns,
+      allowedMethods: this.allowedMethods,
+      blockPrivateNetworks: this.blockPrivateNetworks,
+    };
+  }
+}
+
+/**
+ * Convert a '*' wildcard URL pattern to an anchored regular expression
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+function egressError(reason, details) {
+  const error = new Error(`Egress denied: ${reason}`);
+  error.code = 'EGRESS_DENIED';
+  error.details = details;
+  return error;
+}
+
+module.exports = EgressPolicy;
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Execution History - persisted record of every finished run, one JSON object per line
+ * Records never contain credential values: only the credential reference, and
+ * log excerpts that have already been through the run's redactor
+ */
+class ExecutionHistory {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.EXECUTION_HISTORY_FILE || './data/executions.jsonl';
+    // Number of trailing log entries kept with each record
+    this.logExcerptSize = options.logExcerptSize || 20;
+    // Keeps appends in order
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Persist the execution once its log finishes
+   * @param {ExecutionLog} log - Log of the run; log.metadata supplies script, version, revision, trigger, triggeredBy
+   * @param {object} context - { credentialRef, params }
+   */
+  track(log, context = {}) {
+    if (log.finished) {
+      return this.append(this.toRecord(log, context));
+    }
+    log.once('finish', () => this.append(this.toRecord(log, context)));
+    return Promise.resolve();
+  }
+
+  toRecord(log, context) {
+    const { script = null, version = null, revision = null, trigger = null, triggeredBy = null, source = null } = log.metadata;
+    const startedAt = log.startedAt || log.finishedAt;
+    return {
+      executionId: log.executionId,
+      script,
+      version,
+      revision,
+      trigger,
+      triggeredBy,
+      source,
+      credentialRef: context.credentialRef || null,
+      params: log.redact(context.params || {}),
+      status: log.status,
+      error: log.error,
+      startedAt,
+      finishedAt: log.finishedAt,
+      durationMs: startedAt && log.finishedAt ? Date.parse(log.finishedAt) - Date.parse(startedAt) : null,
+      resultSize: log.result === undefined ? 0 : Buffer.byteLength(JSON.stringify(log.result) || ''),
+      emittedRecords: log.emitted,
+      deliveries: log.deliveries,
+      logCount: log.entries.length,
+      logExcerpt: log.entries.slice(-this.logExcerptSize),
+    };
+  }
+
+  append(record) {
+    const line = JSON.stringify(record) + '\n';
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, line, { mode: 0o600 });
+      })
+      .catch(error => console.error(`❌ Failed to write execution history ${this.filePath}:`, error.message));
+    return this.writeQueue;
+  }
+
+  /**
+   * Query past executions, newest first
+   * @param {object} filters - { script, status, from, to (ISO dates, on startedAt), limit (default 50), offset,
+   *   filter (optional predicate, e.g. for access scoping) }
+   * @returns {Promise<{executions: object[], total: number}>} Records without their log excerpts
+   */
+  async query(filters = {}) {
+    const from = filters.from ? Date.parse(filters.from) : null;
+    const to = filters.to ? Date.parse(filters.to) : null;
+    const limit = Math.min(Number(filters.limit) || 50, 500);
+    const offset = Number(filters.offset) || 0;
+
+    const matches = [];
+    await this.scan(record => {
+      const startedAt = Date.parse(record.startedAt);
+      if (filters.script && record.script !== filters.script) return;
+      if (filters.status && record.status !== filters.status) return;
+      if (from !== null && !(startedAt >= from)) return;
+      if (to !== null && !(startedAt <= to)) return;
+      if (filters.filter && !filters.filter(record)) return;
+      const { logExcerpt, ...summary } = record;
+      matches.push(summary);
+    });
+
+    matches.reverse();
+    return { executions: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  /**
+   * Full record of one execution, or null
+   */
+  async get(executionId) {
+    let found = null;
+    await this.scan(record => {
+      if (record.executionId === executionId) found = record;
+    });
+    return found;
+  }
+
+  /**
+   * Stream every record through a callback without loading the whole file
+   */
+  async scan(visit) {
+    // Let pending appends land first so a run is visible as soon as it finished
+    await this.writeQueue;
+
+    let stream;
+    try {
+      await fs.promises.access(this.filePath);
+      stream = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // Skip a torn last line rather than failing every query
+        continue;
+      }
+      visit(record);
+    }
+  }
+}
+
+module.exports = ExecutionHistory;
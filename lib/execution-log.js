@@ -0,0 +1,179 @@
+const EventEmitter = require('events');
+const util = require('util');
+
+const LEVEL_PREFIXES = {
+  debug: '🐛',
+  info: 'ℹ️',
+  warn: '⚠️',
+  error: '❌',
+  http: '📡',
+  progress: '📊',
+  audit: '🛡️',
+};
+
+/**
+ * Generate a short unique execution ID
+ */
+function generateExecutionId() {
+  return Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Execution Log - structured log entries captured for a single script execution
+ * Every entry is kept in memory, echoed to stdout and emitted as an 'entry' event;
+ * the end of the execution is emitted once as a 'finish' event
+ */
+class ExecutionLog extends EventEmitter {
+  constructor(executionId = generateExecutionId(), options = {}) {
+    super();
+    this.executionId = executionId;
+    this.entries = [];
+    // Echo entries to stdout (disable for quiet/programmatic use)
+    this.echo = options.echo !== false;
+    // Optional Redactor masking secret values before anything is stored, printed or emitted
+    this.redactor = options.redactor || null;
+    // Caller-supplied context about the run (e.g. the script name)
+    this.metadata = options.metadata || {};
+    // running -> succeeded/failed/cancelled
+    this.status = 'running';
+    this.result = undefined;
+    this.error = null;
+    // Where result sinks delivered the result: [{ type, target, records }] or [{ type, error }]
+    this.deliveries = [];
+    // Records the script streamed out with emit()/emitBatch()
+    this.emitted = 0;
+    this.startedAt = null;
+    this.finishedAt = null;
+  }
+
+  /**
+   * Mark the moment the run actually starts (queued runs are created earlier)
+   */
+  start() {
+    if (!this.startedAt) {
+      this.startedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Record a log entry
+   * @param {string} level - debug, info, warn, error, http, progress or audit
+   * @param {Array} args - Raw arguments passed by the caller
+   * @param {string} message - Human-readable message (defaults to the formatted args)
+   * @returns {object} The stored entry
+   */
+  record(level, args = [], message = util.format(...args)) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      executionId: this.executionId,
+      message: this.redact(message),
+      args: this.redact(args.map(serializeArg)),
+    };
+
+    this.entries.push(entry);
+    if (this.echo) {
+      this.print(entry);
+    }
+    this.emit('entry', entry);
+    return entry;
+  }
+
+  debug(...args) {
+    return this.record('debug', args);
+  }
+
+  info(...args) {
+    return this.record('info', args);
+  }
+
+  warn(...args) {
+    return this.record('warn', args);
+  }
+
+  error(...args) {
+    return this.record('error', args);
+  }
+
+  /**
+   * Record an HTTP call made through the sandbox helpers
+   * @param {object} details - { method, url, status, durationMs, error }
+   */
+  http(details) {
+    const level = details.error ? 'error' : 'http';
+    const outcome = details.error ? `failed: ${details.error}` : `${details.status} (${details.durationMs}ms)`;
+    return this.record(level, [details], `${details.method} ${details.url} ${outcome}`);
+  }
+
+  /**
+   * Record a progress update reported by the script (page fetched, items so far, ...)
+   */
+  progress(details) {
+    const message = typeof details === 'string' ? details : util.inspect(details, { breakLength: Infinity });
+    return this.record('progress', [details], message);
+  }
+
+  /**
+   * Record a security-relevant event (policy violations, ...)
+   * @param {string} event - Short event name, e.g. 'egress.denied'
+   */
+  audit(event, details = {}) {
+    return this.record('audit', [{ event, ...details }], `${event}: ${details.reason || ''}`.trim());
+  }
+
+  /**
+   * Mark the execution as finished; later calls are ignored
+   * @param {string} status - succeeded, failed or cancelled
+   * @param {object} outcome - { result } on success, { error } on failure
+   */
+  finish(status, outcome = {}) {
+    if (this.finished) {
+      return;
+    }
+    this.status = status;
+    this.finishedAt = new Date().toISOString();
+    this.result = outcome.result;
+    this.error = this.redact(outcome.error || null);
+    this.emit('finish', this);
+  }
+
+  /**
+   * Mask secrets known to the attached redactor (no-op without one)
+   */
+  redact(value) {
+    return this.redactor ? this.redactor.redact(value) : value;
+  }
+
+  get finished() {
+    return this.status !== 'running';
+  }
+
+  print(entry) {
+    const method = entry.level === 'error' ? 'error' : ['warn', 'audit'].includes(entry.level) ? 'warn' : 'log';
+    console[method](`[sandbox-${this.executionId}] [sandbox] ${LEVEL_PREFIXES[entry.level] || ''}`, entry.message);
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
+
+/**
+ * Convert a log argument to a JSON-safe value
+ */
+function serializeArg(arg) {
+  if (arg instanceof Error) {
+    return { name: arg.name, message: arg.message };
+  }
+  if (arg === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(JSON.stringify(arg));
+  } catch (error) {
+    return util.inspect(arg);
+  }
+}
+
+module.exports = ExecutionLog;
+module.exports.generateExecutionId = generateExecutionId;
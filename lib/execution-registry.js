@@ -0,0 +1,52 @@
+/**
+ * Execution Registry - keeps the ExecutionLog of running (and recently finished)
+ * executions so clients can attach to them by execution ID
+ */
+class ExecutionRegistry {
+  constructor(options = {}) {
+    // How long finished executions stay attachable (default 10 minutes)
+    this.retention = options.retention || 600000;
+    this.executions = new Map();
+  }
+
+  /**
+   * Register an execution log; it is forgotten once finished and retained long enough
+   */
+  register(log) {
+    this.executions.set(log.executionId, log);
+
+    const scheduleRemoval = () => {
+      const timer = setTimeout(() => {
+        if (this.executions.get(log.executionId) === log) {
+          this.executions.delete(log.executionId);
+        }
+      }, this.retention);
+      timer.unref();
+    };
+
+    if (log.finished) {
+      scheduleRemoval();
+    } else {
+      log.once('finish', scheduleRemoval);
+    }
+
+    return log;
+  }
+
+  get(executionId) {
+    return this.executions.get(executionId) || null;
+  }
+
+  /**
+   * Summaries of all tracked executions
+   */
+  list() {
+    return Array.from(this.executions.values()).map(log => ({
+      executionId: log.executionId,
+      status: log.status,
+      entries: log.entries.length,
+    }));
+  }
+}
+
+module.exports = ExecutionRegistry;
@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const path = require('path');
+const { FORMATS, FORMAT_BY_EXTENSION, formatRecords, createEncoder } = require('./output-format');
+
+/**
+ * File Sink - writes result records to a JSON array, NDJSON, CSV or XLSX file
+ * Records are written to a temp file that replaces the target only when delivery completes,
+ * so readers never see a partial file. CSV columns come from the `columns` option or the
+ * flattened keys of the first batch; XLSX workbooks are built in memory when the sink closes.
+ */
+class FileSink {
+  /**
+   * @param {object} options - { path } resolved output file, { format } json, ndjson, csv or xlsx
+   *   (default from the extension), { columns } to select and order columns
+   */
+  constructor(options) {
+    this.type = 'file';
+    this.format = options.format || FORMAT_BY_EXTENSION[path.extname(options.path).toLowerCase()] || 'json';
+    this.columns = options.columns && options.columns.length > 0 ? options.columns : null;
+    this.path = options.path;
+    // Unique per sink, so concurrent runs writing the same path never share a temp file
+    this.tempPath = `${this.path}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    this.encoder = this.format === 'xlsx' ? null : createEncoder(this.format, { columns: this.columns });
+    this.handle = null;
+    this.buffered = [];
+    this.records = 0;
+  }
+
+  /**
+   * Append a batch of records
+   */
+  async write(records) {
+    if (this.format === 'xlsx') {
+      records.forEach(record => this.buffered.push(record));
+      this.records += records.length;
+      return;
+    }
+
+    await this.open();
+    const chunk = this.encoder.write(records);
+    if (chunk) {
+      await this.handle.write(chunk);
+    }
+    this.records += records.length;
+  }
+
+  async open() {
+    if (!this.handle) {
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      this.handle = await fs.open(this.tempPath, 'w', 0o600);
+    }
+  }
+
+  /**
+   * Finish the file and move it into place
+   * @returns {Promise<object>} Delivery summary
+   */
+  async close() {
+    if (this.format === 'xlsx') {
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      const { body } = formatRecords(this.buffered, 'xlsx', { columns: this.columns });
+      await fs.writeFile(this.tempPath, body, { mode: 0o600 });
+      this.buffered = [];
+    } else {
+      await this.open();
+      await this.handle.write(this.encoder.end());
+      await this.handle.close();
+      this.handle = null;
+    }
+    await fs.rename(this.tempPath, this.path);
+    return { type: this.type, target: this.path, format: this.format, records: this.records };
+  }
+
+  /**
+   * Discard a partially written file
+   */
+  async abort() {
+    this.buffered = [];
+    if (this.handle) {
+      await this.handle.close().catch(() => {});
+      this.handle = null;
+      await fs.unlink(this.tempPath).catch(() => {});
+    }
+  }
+}
+
+module.exports = FileSink;
+module.exports.FORMATS = FORMATS;
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+/**
+ * Git Cache - bare mirrors of script repositories, kept under one cache directory
+ *
+ * Each repository is cloned once with `git clone --mirror` and fetched again when a
+ * moving ref (branch, tag, HEAD) is resolved; a full commit SHA that is already present
+ * needs no fetch. Files are read from the resolved commit's tree with `git cat-file`, so
+ * concurrent runs of different refs never share a working tree.
+ * Works with remote URLs, file:// URLs, local bare repositories and local working copies.
+ */
+class GitCache {
+  /**
+   * @param {object} options - { dir } mirror directory, { timeout } ms per git command
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || './data/script-cache/git';
+    this.timeout = options.timeout || 60000;
+    // Clones and fetches of the same repository run one at a time
+    this.pending = new Map();
+  }
+
+  /**
+   * Resolve a ref to a commit SHA, cloning or fetching the mirror as needed
+   * @param {string} repo - Repository URL or local path
+   * @param {string} ref - Branch, tag, commit SHA (full or abbreviated) or HEAD
+   * @returns {Promise<string>} Full commit SHA
+   * @throws {Error} SCRIPT_FETCH_FAILED when the repository cannot be cloned or fetched,
+   *   SCRIPT_NOT_FOUND when the ref does not exist
+   */
+  async resolve(repo, ref) {
+    const mirror = this.mirrorPath(repo);
+    return this.withRepoLock(mirror, async () => {
+      const exists = fs.existsSync(path.join(mirror, 'HEAD'));
+      // Commits are immutable, so a full SHA already in the mirror is served without a fetch
+      if (exists && /^[a-f0-9]{40}$/i.test(ref)) {
+        const commit = await this.revParse(mirror, ref);
+        if (commit) {
+          return commit;
+        }
+      }
+
+      if (exists) {
+        await this.git(['fetch', '--prune', '--quiet', 'origin'], { cwd: mirror, repo });
+      } else {
+        await this.clone(repo, mirror);
+      }
+
+      const commit = await this.revParse(mirror, ref);
+      if (!commit) {
+        throw gitError(`Ref '${ref}' not found in ${describeRepo(repo)}`, 'SCRIPT_NOT_FOUND');
+      }
+      return commit;
+    });
+  }
+
+  /**
+   * Read a file from a commit
+   * @returns {Promise<string>} File content
+   * @throws {Error} SCRIPT_NOT_FOUND when the path is not a file in that commit, SCRIPT_TOO_LARGE
+   */
+  async readFile(repo, commit, filePath, maxSize) {
+    const mirror = this.mirrorPath(repo);
+    const object = `${commit}:${filePath}`;
+    const type = await this.git(['cat-file', '-t', object], { cwd: mirror, repo }).catch(() => null);
+    if (!type || type.trim() !== 'blob') {
+      throw gitError(`File '${filePath}' not found at ${commit.slice(0, 12)} in ${describeRepo(repo)}`, 'SCRIPT_NOT_FOUND');
+    }
+    const size = parseInt(await this.git(['cat-file', '-s', object], { cwd: mirror, repo }), 10);
+    if (size > maxSize) {
+      throw gitError(`Script ${filePath} in ${describeRepo(repo)} is larger than ${maxSize} bytes`, 'SCRIPT_TOO_LARGE');
+    }
+    return this.git(['cat-file', 'blob', object], { cwd: mirror, repo });
+  }
+
+  /**
+   * Clone into a temp directory and move it into place, so an interrupted clone leaves no mirror behind
+   */
+  async clone(repo, mirror) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const tempPath = `${mirror}.${process.pid}.tmp`;
+    await fs.promises.rm(tempPath, { recursive: true, force: true });
+    try {
+      await this.git(['clone', '--mirror', '--quiet', '--', repo, tempPath], { repo });
+      await fs.promises.rename(tempPath, mirror);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Commit SHA for a ref, or null when it does not name a commit
+   */
+  async revParse(mirror, ref) {
+    try {
+      const output = await this.git(['rev-parse', '--verify', '--quiet', '--end-of-options', `${ref}^{commit}`], { cwd: mirror });
+      return output.trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Run git without a shell or interactive prompts
+   * @returns {Promise<string>} stdout
+   */
+  git(args, { cwd, repo } = {}) {
+    return new Promise((resolve, reject) => {
+      execFile('git', ['-c', 'protocol.ext.allow=never', ...args], {
+        cwd,
+        timeout: this.timeout,
+        maxBuffer: 64 * 1024 * 1024,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+      }, (error, stdout, stderr) => {
+        if (!error) {
+          resolve(stdout);
+          return;
+        }
+        const lines = stderr.trim().split('\n');
+        const reason = error.killed
+          ? `timed out after ${this.timeout}ms`
+          : (lines.find(line => line.startsWith('fatal:')) || lines.pop() || error.message);
+        reject(gitError(`git ${args[0]} failed${repo ? ` for ${describeRepo(repo)}` : ''}: ${reason}`, 'SCRIPT_FETCH_FAILED'));
+      });
+    });
+  }
+
+  withRepoLock(mirror, task) {
+    const previous = this.pending.get(mirror) || Promise.resolve();
+    const result = previous.then(task);
+    const settled = result.catch(() => {});
+    this.pending.set(mirror, settled);
+    settled.then(() => {
+      if (this.pending.get(mirror) === settled) {
+        this.pending.delete(mirror);
+      }
+    });
+    return result;
+  }
+
+  mirrorPath(repo) {
+    return path.resolve(this.dir, `${crypto.createHash('sha256').update(repo).digest('hex').slice(0, 32)}.git`);
+  }
+}
+
+/**
+ * Repository URL without credentials, for logs and execution records
+ */
+function describeRepo(repo) {
+  try {
+    const url = new URL(repo);
+    url.username = '';
+    url.password = '';
+    return url.toString();
+  } catch (error) {
+    return repo;
+  }
+}
+
+function gitError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = GitCache;
+module.exports.describeRepo = describeRepo;
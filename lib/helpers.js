@@ -1,4 +1,8 @@
 const axios = require("axios");
+const RetryPolicy = require("./retry-policy");
+const createPaginate = require("./paginate");
+
+const RESPONSE_TYPES = ['json', 'text', 'arraybuffer'];
 
 /**
  * Helper functions provided to user scripts in the isolated VM
@@ -6,31 +10,252 @@ const axios = require("axios");
  */
 
 /**
- * Make HTTP GET request
+ * Attach an AbortSignal to axios request options
  */
-async function httpGet(url, opts = {}) {
-  try {
-    console.log(`📡 GET: ${url}`);
-    const res = await axios.get(url, opts);
-    return res.data;
-  } catch (error) {
-    console.error(`❌ GET Error for ${url}:`, error.message);
-    throw new Error(error.message);
+function withSignal(opts, signal) {
+  return signal ? { ...opts, signal } : opts;
+}
+
+/**
+ * Build axios options for a helper request, enforcing the execution's egress policy
+ * @throws {Error} with code EGRESS_DENIED when the policy rejects the request
+ */
+function prepareRequest(method, url, opts, context) {
+  const requestOpts = context.egress ? context.egress.applyToRequest(method, url, opts || {}) : opts;
+  return withSignal(requestOpts, context.signal);
+}
+
+/**
+ * Record an egress policy violation as an audit entry
+ */
+function auditEgressViolation(context, method, url, error) {
+  const details = { method, url, reason: error.message.replace(/^Egress denied: /, '') };
+  if (context.log) {
+    context.log.audit('egress.denied', details);
+  } else {
+    console.warn(`🛡️  Egress denied for ${method} ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Record the outcome of a helper HTTP call
+ * Goes to the execution log when one is attached, otherwise to the console
+ */
+function logHttpCall(context, details) {
+  if (context.log) {
+    context.log.http(details);
+  } else if (details.error) {
+    console.error(`❌ ${details.method} Error for ${details.url}:`, details.error);
+  } else {
+    console.log(`📡 ${details.method}: ${details.url}`);
+  }
+}
+
+/**
+ * Register credentials carried by a request (auth headers, axios basic auth) with the run's redactor
+ */
+function registerRequestSecrets(opts, context) {
+  if (!context.redactor) {
+    return;
+  }
+  context.redactor.addFromHeaders(opts.headers);
+  if (opts.auth && typeof opts.auth === 'object') {
+    context.redactor.addSecret(opts.auth.password);
   }
 }
 
 /**
- * Make HTTP POST request
+ * Convert axios response headers to a plain object
  */
-async function httpPost(url, body = {}, opts = {}) {
+function plainHeaders(headers) {
+  if (!headers) return {};
+  return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+}
+
+/**
+ * Convert an axios response to the { status, statusText, headers, data } shape given to scripts
+ */
+function toResponse(res) {
+  let data = res.data;
+  // Binary bodies come back as Buffers; hand scripts a plain ArrayBuffer
+  if (Buffer.isBuffer(data)) {
+    data = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  }
+  return {
+    status: res.status,
+    statusText: res.statusText,
+    headers: plainHeaders(res.headers),
+    data,
+  };
+}
+
+/**
+ * Convert a failed request into an Error that keeps the status code and response body
+ */
+function toHttpError(error) {
+  const httpError = new Error(error.message);
+  httpError.name = 'HttpError';
+  httpError.code = error.code;
+  if (error.response) {
+    const response = toResponse(error.response);
+    httpError.status = response.status;
+    httpError.statusText = response.statusText;
+    httpError.headers = response.headers;
+    httpError.data = response.data;
+  }
+  return httpError;
+}
+
+/**
+ * Make an HTTP request and return the full response
+ * @param {object} request - { method, url, headers, body, params, timeout, responseType, throwHttpErrors, retry, rateLimit }
+ *   responseType is 'json' (default), 'text' or 'arraybuffer';
+ *   throwHttpErrors (default true) rejects non-2xx responses, set false to inspect them;
+ *   retry is true/false or RetryPolicy options; rateLimit is { requestsPerSecond, burst } per host
+ * @param {object} context - Per-execution context ({ signal } aborts the request, { log } records the call,
+ *   { egress } EgressPolicy the request must satisfy, { httpDefaults } default retry/rateLimit,
+ *   { rateLimiter } shared RateLimiter, { redactor } Redactor that learns tokens from request headers)
+ * @returns {Promise<{status: number, statusText: string, headers: object, data: *}>}
+ * @throws {Error} HttpError with status, statusText, headers and data when the server responded
+ */
+async function httpRequest(request = {}, context = {}) {
+  const { method = 'GET', url, body, responseType = 'json', throwHttpErrors = true, retry, rateLimit, ...opts } = request;
+  const upperMethod = String(method).toUpperCase();
+  const defaults = context.httpDefaults || {};
+  const retryPolicy = RetryPolicy.resolve(retry, defaults.retry);
+  const rateLimitOptions = rateLimit === undefined ? defaults.rateLimit : rateLimit;
+  const axiosOpts = { ...opts, method: upperMethod, url, data: body, responseType, validateStatus: () => true };
+  // Learn derived tokens (Bearer, Basic, API keys) before the call is logged anywhere
+  registerRequestSecrets(axiosOpts, context);
+
+  for (let attempt = 1; ; attempt++) {
+    const outcome = await sendRequest(axiosOpts, rateLimitOptions, context);
+    const delay = retryPolicy ? retryPolicy.nextDelay(attempt, outcome, upperMethod) : null;
+    if (delay === null) {
+      return settleRequest(outcome, throwHttpErrors);
+    }
+
+    const reason = outcome.response ? `status ${outcome.response.status}` : outcome.error.message;
+    const message = `Retrying ${upperMethod} ${url} in ${delay}ms (attempt ${attempt + 1}/${retryPolicy.options.retries + 1}) after ${reason}`;
+    if (context.log) {
+      context.log.warn(message);
+    } else {
+      console.warn(`🔁 ${message}`);
+    }
+    await sleep(delay, context.signal);
+  }
+}
+
+/**
+ * Send a single request attempt
+ * @returns {Promise<object>} { response } for any HTTP status, or { error } when no response was received
+ */
+async function sendRequest(axiosOpts, rateLimitOptions, context) {
+  const { method, url, responseType } = axiosOpts;
+
+  try {
+    if (!url || typeof url !== 'string') {
+      throw new Error('HTTP request requires a url');
+    }
+    if (!RESPONSE_TYPES.includes(responseType)) {
+      throw new Error(`Unsupported responseType: ${responseType}. Use ${RESPONSE_TYPES.join(', ')}`);
+    }
+    if (rateLimitOptions && context.rateLimiter) {
+      await context.rateLimiter.acquire(new URL(url).host, rateLimitOptions, context.signal);
+    }
+  } catch (error) {
+    logHttpCall(context, { method, url, durationMs: 0, error: error.message });
+    return { error };
+  }
+
+  const startedAt = Date.now();
   try {
-    console.log(`📡 POST: ${url}`);
-    const res = await axios.post(url, body, opts);
-    return res.data;
+    const res = await axios.request(prepareRequest(method, url, axiosOpts, context));
+    logHttpCall(context, {
+      method,
+      url,
+      status: res.status,
+      durationMs: Date.now() - startedAt,
+      error: isSuccessStatus(res.status) ? undefined : `status ${res.status}`,
+    });
+    return { response: res };
   } catch (error) {
-    console.error(`❌ POST Error for ${url}:`, error.message);
-    throw new Error(error.message);
+    if (error.code === 'EGRESS_DENIED') {
+      auditEgressViolation(context, method, url, error);
+    }
+    logHttpCall(context, { method, url, durationMs: Date.now() - startedAt, error: error.message });
+    return { error };
+  }
+}
+
+/**
+ * Turn the final attempt into a response or an HttpError
+ */
+function settleRequest(outcome, throwHttpErrors) {
+  if (outcome.error) {
+    throw toHttpError(outcome.error);
   }
+
+  const res = outcome.response;
+  if (throwHttpErrors && !isSuccessStatus(res.status)) {
+    const error = new Error(`Request failed with status code ${res.status}`);
+    error.code = res.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST';
+    error.response = res;
+    throw toHttpError(error);
+  }
+  return toResponse(res);
+}
+
+function isSuccessStatus(status) {
+  return status >= 200 && status < 300;
+}
+
+/**
+ * Make HTTP GET request and return the response body
+ */
+async function httpGet(url, opts = {}, context = {}) {
+  const res = await httpRequest({ ...opts, method: 'GET', url }, context);
+  return res.data;
+}
+
+/**
+ * Make HTTP POST request and return the response body
+ */
+async function httpPost(url, body = {}, opts = {}, context = {}) {
+  const res = await httpRequest({ ...opts, method: 'POST', url, body }, context);
+  return res.data;
+}
+
+/**
+ * Make HTTP PUT request and return the response body
+ */
+async function httpPut(url, body = {}, opts = {}, context = {}) {
+  const res = await httpRequest({ ...opts, method: 'PUT', url, body }, context);
+  return res.data;
+}
+
+/**
+ * Make HTTP PATCH request and return the response body
+ */
+async function httpPatch(url, body = {}, opts = {}, context = {}) {
+  const res = await httpRequest({ ...opts, method: 'PATCH', url, body }, context);
+  return res.data;
+}
+
+/**
+ * Make HTTP DELETE request and return the response body
+ */
+async function httpDelete(url, opts = {}, context = {}) {
+  const res = await httpRequest({ ...opts, method: 'DELETE', url }, context);
+  return res.data;
+}
+
+/**
+ * Make HTTP HEAD request and return the status and headers
+ */
+async function httpHead(url, opts = {}, context = {}) {
+  const res = await httpRequest({ ...opts, method: 'HEAD', url }, context);
+  return { status: res.status, statusText: res.statusText, headers: res.headers };
 }
 
 /**
@@ -42,9 +267,25 @@ function base64Encode(str) {
 
 /**
  * Sleep for specified milliseconds
+ * @param {AbortSignal} signal - Optional signal that cuts the sleep short with a rejection
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('Sleep aborted'));
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Sleep aborted'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
@@ -63,6 +304,7 @@ const logger = {
 class ScriptHelpers {
   constructor() {
     this.logger = logger;
+    this.paginate = createPaginate(httpRequest);
   }
 
   async httpGet(url, opts = {}) {
@@ -73,6 +315,26 @@ class ScriptHelpers {
     return httpPost(url, body, opts);
   }
 
+  async httpPut(url, body = {}, opts = {}) {
+    return httpPut(url, body, opts);
+  }
+
+  async httpPatch(url, body = {}, opts = {}) {
+    return httpPatch(url, body, opts);
+  }
+
+  async httpDelete(url, opts = {}) {
+    return httpDelete(url, opts);
+  }
+
+  async httpHead(url, opts = {}) {
+    return httpHead(url, opts);
+  }
+
+  async request(request) {
+    return httpRequest(request);
+  }
+
   base64Encode(str) {
     return base64Encode(str);
   }
@@ -85,6 +347,12 @@ class ScriptHelpers {
     return {
       httpGet: this.httpGet.bind(this),
       httpPost: this.httpPost.bind(this),
+      httpPut: this.httpPut.bind(this),
+      httpPatch: this.httpPatch.bind(this),
+      httpDelete: this.httpDelete.bind(this),
+      httpHead: this.httpHead.bind(this),
+      http: { request: this.request.bind(this) },
+      paginate: this.paginate,
       logger: this.logger,
       base64Encode: this.base64Encode.bind(this),
       sleep: this.sleep.bind(this),
@@ -96,6 +364,11 @@ class ScriptHelpers {
 module.exports = ScriptHelpers;
 module.exports.httpGet = httpGet;
 module.exports.httpPost = httpPost;
+module.exports.httpPut = httpPut;
+module.exports.httpPatch = httpPatch;
+module.exports.httpDelete = httpDelete;
+module.exports.httpHead = httpHead;
+module.exports.httpRequest = httpRequest;
 module.exports.base64Encode = base64Encode;
 module.exports.sleep = sleep;
 module.exports.logger = logger;
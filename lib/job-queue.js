@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+const JOB_STATES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINAL_STATES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Job Queue - runs script executions asynchronously with a concurrency cap
+ * Jobs move through queued -> running -> succeeded/failed/cancelled
+ */
+class JobQueue {
+  constructor(options = {}) {
+    // Maximum number of jobs allowed to run at the same time
+    this.concurrency = options.concurrency || 2;
+    // How long finished jobs are kept in memory (default 1 hour)
+    this.retention = options.retention || 3600000;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Add a task to the queue
+   * @param {function} task - Async function receiving the job (job.controller.signal aborts on cancel)
+   * @param {object} metadata - Extra information stored with the job (script name, etc.)
+   * @param {object} options - { id } to reuse an existing identifier (e.g. the execution ID)
+   * @returns {object} Public view of the created job
+   */
+  enqueue(task, metadata = {}, options = {}) {
+    const job = {
+      id: options.id || crypto.randomUUID(),
+      status: 'queued',
+      metadata,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: undefined,
+      error: null,
+      errors: undefined,
+      controller: new AbortController(),
+      task,
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    console.log(`📥 [${job.id}] Job queued (${this.pending.length} waiting, ${this.running} running)`);
+
+    this.drain();
+    return this.toJSON(job);
+  }
+
+  /**
+   * Get a job by ID (internal object, includes result)
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * Running jobs are aborted through their controller signal
+   * @returns {object|null} Public view of the job, or null if not found
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (FINAL_STATES.includes(job.status)) {
+      return this.toJSON(job);
+    }
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+    }
+
+    this.finish(job, 'cancelled');
+    job.controller.abort();
+    console.log(`🛑 [${job.id}] Job cancelled`);
+    return this.toJSON(job);
+  }
+
+  /**
+   * Start as many pending jobs as the concurrency cap allows
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.start(job);
+    }
+  }
+
+  async start(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`▶️  [${job.id}] Job started`);
+
+    try {
+      const result = await job.task(job);
+      if (job.status === 'running') {
+        job.result = result;
+        this.finish(job, 'succeeded');
+        console.log(`✅ [${job.id}] Job succeeded`);
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        job.error = error.message;
+        // Field-level details, e.g. credential validation errors
+        job.errors = error.errors;
+        this.finish(job, 'failed');
+        console.error(`❌ [${job.id}] Job failed:`, error.message);
+      }
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.task = null;
+
+    // Forget finished jobs after the retention period so memory stays bounded
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.retention);
+    timer.unref();
+  }
+
+  /**
+   * Public representation of a job (without the result payload)
+   */
+  toJSON(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      metadata: job.metadata,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      errors: job.errors,
+    };
+  }
+
+  /**
+   * Queue statistics
+   */
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      queued: this.pending.length,
+      total: this.jobs.size,
+    };
+  }
+}
+
+module.exports = JobQueue;
+module.exports.JOB_STATES = JOB_STATES;
+module.exports.FINAL_STATES = FINAL_STATES;
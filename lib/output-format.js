@@ -0,0 +1,258 @@
+const { buildXlsx } = require('./xlsx-writer');
+
+/**
+ * Output formats - render result records as JSON, NDJSON, CSV or XLSX
+ *
+ * Tabular formats (CSV, XLSX) flatten nested objects into dotted columns
+ * ({ general: { managed: true } } -> "general.managed"); arrays stay JSON-encoded in one cell.
+ * A column list selects and orders columns (dotted paths included) in every format;
+ * without one, JSON and NDJSON keep records as they are.
+ */
+
+const FORMATS = ['json', 'ndjson', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const FORMAT_BY_EXTENSION = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+};
+
+/**
+ * Render records in a format
+ * @param {Array} records - Result records (see resultRecords)
+ * @param {string} format - json, ndjson, csv or xlsx
+ * @param {object} options - { columns } to select and order columns, { sheetName } for XLSX
+ * @returns {{body: string|Buffer, contentType: string}}
+ */
+function formatRecords(records, format, options = {}) {
+  const columns = options.columns && options.columns.length > 0 ? options.columns : null;
+
+  switch (format) {
+    case 'json':
+      return { body: JSON.stringify(columns ? records.map(record => pick(record, columns)) : records, null, 2), contentType: CONTENT_TYPES.json };
+    case 'ndjson':
+      return { body: ndjsonLines(columns ? records.map(record => pick(record, columns)) : records), contentType: CONTENT_TYPES.ndjson };
+    case 'csv': {
+      const rows = tabulate(records, columns);
+      return { body: rows.map(csvLine).join(''), contentType: CONTENT_TYPES.csv };
+    }
+    case 'xlsx':
+      return { body: buildXlsx(tabulate(records, columns), { sheetName: options.sheetName }), contentType: CONTENT_TYPES.xlsx };
+    default:
+      throw formatError(format);
+  }
+}
+
+/**
+ * Incremental encoder for records that arrive in batches (JSON array, NDJSON or CSV)
+ * CSV columns come from options.columns or the flattened keys of the first batch.
+ * @returns {{write: function(Array): string, end: function(): string}} Text chunks to append
+ * @throws {Error} with code FORMAT_INVALID for formats that cannot be streamed (XLSX)
+ */
+function createEncoder(format, options = {}) {
+  let columns = options.columns && options.columns.length > 0 ? options.columns : null;
+  const selected = Boolean(columns);
+  const select = records => (columns ? records.map(record => pick(record, columns)) : records);
+  let count = 0;
+
+  switch (format) {
+    case 'json':
+      return {
+        write(records) {
+          const chunk = select(records).map((record, index) =>
+            `${count + index === 0 ? '[\n' : ',\n'}${JSON.stringify(record)}`).join('');
+          count += records.length;
+          return chunk;
+        },
+        end: () => (count > 0 ? '\n]\n' : '[]\n'),
+      };
+    case 'ndjson':
+      return {
+        write: records => ndjsonLines(select(records)),
+        end: () => '',
+      };
+    case 'csv':
+      return {
+        write(records) {
+          if (records.length === 0) {
+            return '';
+          }
+          const rows = records.map(record => flattenRecord(record));
+          let chunk = '';
+          if (count === 0) {
+            columns = columns || columnsOf(rows);
+            chunk += csvLine(columns);
+          } else if (!selected) {
+            // The header is already written, so a column only later records have would be lost
+            const unknown = columnsOf(rows).find(column => !columns.includes(column));
+            if (unknown !== undefined) {
+              throw columnsError(`Record ${count + 1} has column "${unknown}", which the first records (and so the CSV header) lack; select the CSV columns with "columns"`);
+            }
+          }
+          count += records.length;
+          return chunk + rows.map((row, index) =>
+            csvLine(columns.map(column => (selected ? cellValue(row, records[index], column) : row[column])))).join('');
+        },
+        // Without records the file still gets a header when the columns are known
+        end: () => (count === 0 && columns ? csvLine(columns) : ''),
+      };
+    default:
+      throw formatError(format, `Output format "${format}" cannot be streamed; use json, ndjson or csv`);
+  }
+}
+
+/**
+ * Header row plus one row per record, with flattened columns
+ * @returns {Array<Array>}
+ */
+function tabulate(records, columns = null) {
+  const flattened = records.map(record => flattenRecord(record));
+  if (!columns) {
+    const header = columnsOf(flattened);
+    return [header, ...flattened.map(row => header.map(column => row[column]))];
+  }
+  return [columns, ...flattened.map((row, index) => columns.map(column => cellValue(row, records[index], column)))];
+}
+
+/**
+ * Value of a selected column: a flattened leaf, or the nested value of a non-leaf column (as pick returns it)
+ */
+function cellValue(row, record, column) {
+  return column in row ? row[column] : valueAt(record, column);
+}
+
+/**
+ * Flatten nested objects into dotted keys; non-object records become { value }
+ */
+function flattenRecord(record, prefix = '', target = {}) {
+  if (!isPlainObject(record)) {
+    if (prefix === '') {
+      target.value = record;
+    } else {
+      target[prefix] = record;
+    }
+    return target;
+  }
+  const keys = Object.keys(record);
+  if (keys.length === 0 && prefix !== '') {
+    target[prefix] = null;
+  }
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(record[key])) {
+      flattenRecord(record[key], path, target);
+    } else {
+      target[path] = record[key];
+    }
+  });
+  return target;
+}
+
+/**
+ * Column names of flattened rows, in first-seen order
+ */
+function columnsOf(rows) {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+  return Array.from(columns);
+}
+
+/**
+ * Keep only the selected columns (dotted paths read nested values)
+ */
+function pick(record, columns) {
+  const flattened = flattenRecord(record);
+  const picked = {};
+  columns.forEach(column => {
+    picked[column] = cellValue(flattened, record, column);
+  });
+  return picked;
+}
+
+function valueAt(record, column) {
+  return column.split('.').reduce((value, part) => (isPlainObject(value) ? value[part] : undefined), record);
+}
+
+function ndjsonLines(records) {
+  return records.map(record => `${JSON.stringify(record)}\n`).join('');
+}
+
+/**
+ * One CSV line (RFC 4180 quoting; objects and arrays as JSON)
+ * Strings a spreadsheet would run as a formula get a leading ' so they open as text
+ */
+function csvLine(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+/**
+ * Parse a column list given as an array or a comma-separated string
+ * @returns {Array<string>|null}
+ */
+function parseColumns(columns) {
+  if (columns === undefined || columns === null || columns === '') {
+    return null;
+  }
+  const list = Array.isArray(columns) ? columns : String(columns).split(',');
+  return list.map(column => String(column).trim()).filter(Boolean);
+}
+
+/**
+ * Check a format name
+ * @throws {Error} with code FORMAT_INVALID
+ */
+function validateFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw formatError(format);
+  }
+  return format;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatError(format, message = `Unsupported output format "${format}". Use ${FORMATS.join(', ')}`) {
+  const error = new Error(message);
+  error.code = 'FORMAT_INVALID';
+  return error;
+}
+
+function columnsError(message) {
+  const error = new Error(message);
+  error.code = 'FORMAT_COLUMNS_UNKNOWN';
+  return error;
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  FORMAT_BY_EXTENSION,
+  formatRecords,
+  createEncoder,
+  tabulate,
+  flattenRecord,
+  pick,
+  csvLine,
+  ndjsonLines,
+  parseColumns,
+  validateFormat,
+};
@@ -0,0 +1,153 @@
+/**
+ * Pagination helper for user scripts
+ *
+ * createPaginate is injected into the isolate as source text (createPaginate.toString()),
+ * so it must stay self-contained: no requires and no references to module scope.
+ */
+
+/**
+ * Build the paginate() helper on top of a request function
+ * @param {function} request - http.request-style function resolving to { status, headers, data }
+ * @param {function} reportProgress - Optional progress callback ({ page, fetched, total })
+ * @returns {function} paginate(url, options) with paginate.batches(url, options)
+ */
+function createPaginate(request, reportProgress) {
+  const STYLES = ['page', 'offset', 'cursor', 'link'];
+
+  function getPath(value, path) {
+    if (!path) return value;
+    return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+  }
+
+  function extractItems(body, itemsPath) {
+    if (itemsPath) {
+      const items = getPath(body, itemsPath);
+      if (!Array.isArray(items)) {
+        throw new Error(`paginate: response has no array at "${itemsPath}"`);
+      }
+      return items;
+    }
+    if (Array.isArray(body)) return body;
+    for (const key of ['results', 'items', 'data']) {
+      if (body && Array.isArray(body[key])) return body[key];
+    }
+    throw new Error('paginate: could not find items in response, set itemsPath');
+  }
+
+  // Find the rel="next" target in a Link header, resolving relative URLs against the current one
+  function nextLink(linkHeader, currentUrl) {
+    if (!linkHeader) return null;
+    const parts = String(linkHeader).split(',');
+    for (const part of parts) {
+      const match = part.match(/<([^>]*)>\s*;(.*)/);
+      if (match && /rel\s*=\s*"?([^"]*\s)?next(\s[^"]*)?"?/i.test(match[2])) {
+        const target = match[1].trim();
+        if (/^https?:\/\//i.test(target)) return target;
+        const origin = currentUrl.match(/^https?:\/\/[^/]+/i)[0];
+        if (target.startsWith('/')) return origin + target;
+        return currentUrl.replace(/[?#].*$/, '').replace(/[^/]*$/, '') + target;
+      }
+    }
+    return null;
+  }
+
+  async function* batches(url, options = {}) {
+    const {
+      style = 'page',
+      pageSize = 100,
+      itemsPath,
+      totalPath,
+      maxPages = Infinity,
+      maxItems = Infinity,
+      // page style
+      pageParam = 'page',
+      pageSizeParam = 'pageSize',
+      startPage = 0,
+      // offset style
+      offsetParam = 'offset',
+      limitParam = 'limit',
+      // cursor style
+      cursorParam = 'cursor',
+      cursorPath = 'nextCursor',
+      // extra http.request options (headers, params, retry, rateLimit, ...)
+      request: requestOptions = {},
+      progress = true,
+      onPage,
+    } = options;
+
+    if (!STYLES.includes(style)) {
+      throw new Error(`paginate: unsupported style "${style}". Use ${STYLES.join(', ')}`);
+    }
+
+    let page = 0;
+    let fetched = 0;
+    let nextUrl = url;
+    let cursor = null;
+
+    while (page < maxPages && fetched < maxItems) {
+      const params = { ...requestOptions.params };
+      if (style === 'page') {
+        params[pageParam] = startPage + page;
+        params[pageSizeParam] = pageSize;
+      } else if (style === 'offset') {
+        params[offsetParam] = fetched;
+        params[limitParam] = pageSize;
+      } else if (style === 'cursor' && cursor !== null) {
+        params[cursorParam] = cursor;
+      }
+
+      const requestUrl = style === 'link' ? nextUrl : url;
+      const response = await request({
+        ...requestOptions,
+        method: requestOptions.method || 'GET',
+        url: requestUrl,
+        // Link targets already carry their own query string
+        params: style === 'link' && page > 0 ? undefined : params,
+      });
+
+      let items = extractItems(response.data, itemsPath);
+      if (fetched + items.length > maxItems) {
+        items = items.slice(0, maxItems - fetched);
+      }
+      fetched += items.length;
+      page++;
+
+      const total = totalPath ? getPath(response.data, totalPath) : undefined;
+      if (progress && reportProgress) {
+        reportProgress({ page, fetched, total });
+      }
+      if (onPage) {
+        await onPage(items, { page, fetched, total, response });
+      }
+      if (items.length > 0) {
+        yield items;
+      }
+
+      // Decide whether another page exists
+      if (items.length === 0) break;
+      if (style === 'page' || style === 'offset') {
+        if (typeof total === 'number' && fetched >= total) break;
+        if (typeof total !== 'number' && items.length < pageSize) break;
+      } else if (style === 'cursor') {
+        cursor = getPath(response.data, cursorPath);
+        if (cursor === undefined || cursor === null || cursor === '') break;
+      } else if (style === 'link') {
+        nextUrl = nextLink(response.headers && response.headers.link, requestUrl);
+        if (!nextUrl) break;
+      }
+    }
+  }
+
+  async function paginate(url, options = {}) {
+    const all = [];
+    for await (const batch of batches(url, options)) {
+      all.push(...batch);
+    }
+    return all;
+  }
+
+  paginate.batches = batches;
+  return paginate;
+}
+
+module.exports = createPaginate;
@@ -0,0 +1,44 @@
+const { sleep } = require('./helpers');
+
+/**
+ * Rate Limiter - token bucket per key (typically the request host)
+ * Buckets are shared by every execution using the same limiter, so concurrent
+ * runs against one API stay within its limit together
+ */
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Wait until a request for the key may be sent
+   * @param {string} key - Bucket key, e.g. the host name
+   * @param {object} limit - { requestsPerSecond, burst } (burst defaults to requestsPerSecond)
+   * @param {AbortSignal} signal - Optional signal that cancels the wait
+   */
+  async acquire(key, limit, signal) {
+    const rate = Number(limit.requestsPerSecond);
+    if (!rate || rate <= 0) {
+      return;
+    }
+    const burst = Math.max(1, Number(limit.burst) || rate);
+
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+
+    // Refill for the elapsed time, then reserve a token (the balance may go negative)
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+    bucket.updatedAt = now;
+    bucket.tokens -= 1;
+
+    if (bucket.tokens < 0) {
+      await sleep((-bucket.tokens / rate) * 1000, signal);
+    }
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,130 @@
+const REDACTED = '[REDACTED]';
+
+// Shorter values would mask ordinary words all over the logs
+const MIN_SECRET_LENGTH = 4;
+
+// Request headers whose values are treated as secrets when seen by the HTTP helpers
+const SECRET_HEADER_PATTERN = /^(authorization|proxy-authorization|x-api-key|api-key|x-auth-token|cookie)$/i;
+
+/**
+ * Redactor - masks known secret values in log lines, errors and records
+ * Knows the current run's credential values plus tokens derived during the run
+ */
+class Redactor {
+  constructor() {
+    this.secrets = new Set();
+    this.pattern = null;
+  }
+
+  /**
+   * Register a secret value (and its common encodings)
+   */
+  addSecret(value) {
+    if (typeof value === 'number') {
+      value = String(value);
+    }
+    if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH || this.secrets.has(value)) {
+      return;
+    }
+
+    this.secrets.add(value);
+    const encoded = encodeURIComponent(value);
+    if (encoded !== value) {
+      this.secrets.add(encoded);
+    }
+    this.pattern = null;
+  }
+
+  /**
+   * Register every value of a credentials object, including Basic-auth pairs
+   */
+  addCredentials(credentials) {
+    collectStrings(credentials).forEach(value => this.addSecret(value));
+
+    // username:password pairs show up base64-encoded in Basic auth headers
+    if (credentials && typeof credentials.username === 'string' && typeof credentials.password === 'string') {
+      this.addSecret(Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64'));
+    }
+  }
+
+  /**
+   * Register tokens found in outgoing request headers (Bearer tokens, API keys, ...)
+   */
+  addFromHeaders(headers) {
+    if (!headers || typeof headers !== 'object') {
+      return;
+    }
+
+    Object.keys(headers).forEach(name => {
+      const value = headers[name];
+      if (!SECRET_HEADER_PATTERN.test(name) || typeof value !== 'string') {
+        return;
+      }
+      const scheme = value.match(/^(Bearer|Basic|Token|Digest)\s+(.+)$/i);
+      this.addSecret(scheme ? scheme[2].trim() : value);
+    });
+  }
+
+  /**
+   * Mask secrets in a string, or deeply in an array/object (returns a copy)
+   */
+  redact(value) {
+    if (this.secrets.size === 0) {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return value.replace(this.getPattern(), REDACTED);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      const copy = {};
+      Object.keys(value).forEach(key => {
+        copy[key] = this.redact(value[key]);
+      });
+      return copy;
+    }
+    return value;
+  }
+
+  /**
+   * Mask secrets in an Error's message and stack in place
+   */
+  redactError(error) {
+    if (error && this.secrets.size > 0) {
+      if (typeof error.message === 'string') {
+        error.message = this.redact(error.message);
+      }
+      if (typeof error.stack === 'string') {
+        error.stack = this.redact(error.stack);
+      }
+    }
+    return error;
+  }
+
+  getPattern() {
+    if (!this.pattern) {
+      // Longest first so a secret containing another secret is masked whole
+      const alternatives = Array.from(this.secrets)
+        .sort((a, b) => b.length - a.length)
+        .map(secret => secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      this.pattern = new RegExp(alternatives.join('|'), 'g');
+    }
+    return this.pattern;
+  }
+}
+
+function collectStrings(value, found = []) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    found.push(String(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => collectStrings(value[key], found));
+  }
+  return found;
+}
+
+module.exports = Redactor;
+module.exports.REDACTED = REDACTED;
@@ -0,0 +1,254 @@
+const path = require('path');
+const FileSink = require('./file-sink');
+const WebhookSink = require('./webhook-sink');
+const SqliteSink = require('./sqlite-sink');
+
+/**
+ * Result sinks - deliver a script's output somewhere other than the inline response
+ *
+ *   { "type": "file", "path": "jamf/devices-{date}.csv", "format": "csv", "columns": ["id", "name"] }
+ *   { "type": "webhook", "url": "https://hooks.example.com/devices", "secretRef": "devices-hook", "batchSize": 500 }
+ *   { "type": "sqlite", "table": "devices", "key": "id", "path": "inventory.db" }
+ *
+ * File and SQLite paths are relative to SINK_OUTPUT_DIR (default ./data/output). Webhook
+ * secrets are given inline as "secret" or by "secretRef", a vault credential whose
+ * "secret" value is the HMAC key. Sinks receive result.data when it is an array, otherwise
+ * the result itself as a single record; records a script streams with emit() are written
+ * batch by batch instead (see writeToSinks / closeSinks).
+ */
+
+const SINK_TYPES = ['file', 'webhook', 'sqlite'];
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+/**
+ * Validate sink definitions
+ * @param {object|Array} configs - One sink definition or a list of them
+ * @param {object} options - { allowInlineSecrets } (default true); stored definitions must use secretRef
+ * @returns {Array<object>} The definitions as a list
+ * @throws {Error} with code SINK_INVALID
+ */
+function validateSinks(configs, options = {}) {
+  if (configs === undefined || configs === null) {
+    return [];
+  }
+  const list = Array.isArray(configs) ? configs : [configs];
+
+  list.forEach((config, index) => {
+    const label = `sinks[${index}]`;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw sinkError(`${label} must be an object`);
+    }
+    if (!SINK_TYPES.includes(config.type)) {
+      throw sinkError(`${label}.type must be one of: ${SINK_TYPES.join(', ')}`);
+    }
+
+    if (config.type === 'file') {
+      if (typeof config.path !== 'string' || config.path === '') {
+        throw sinkError(`${label}.path is required`);
+      }
+      if (config.format !== undefined && !FileSink.FORMATS.includes(config.format)) {
+        throw sinkError(`${label}.format must be one of: ${FileSink.FORMATS.join(', ')}`);
+      }
+      if (config.columns !== undefined && !(Array.isArray(config.columns) && config.columns.every(column => typeof column === 'string'))) {
+        throw sinkError(`${label}.columns must be a list of field names`);
+      }
+    }
+
+    if (config.type === 'webhook') {
+      let url;
+      try {
+        url = new URL(config.url);
+      } catch (error) {
+        throw sinkError(`${label}.url must be an http(s) URL`);
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw sinkError(`${label}.url must be an http(s) URL`);
+      }
+      if (config.secret !== undefined && options.allowInlineSecrets === false) {
+        throw sinkError(`${label}.secret cannot be stored; use secretRef to reference a vault credential`);
+      }
+      if (config.secret !== undefined && (typeof config.secret !== 'string' || config.secret === '')) {
+        throw sinkError(`${label}.secret must be a string`);
+      }
+      if (config.secretRef !== undefined && (typeof config.secretRef !== 'string' || config.secretRef === '')) {
+        throw sinkError(`${label}.secretRef must be a credential name`);
+      }
+      if (config.batchSize !== undefined && !(Number.isInteger(config.batchSize) && config.batchSize > 0)) {
+        throw sinkError(`${label}.batchSize must be a positive integer`);
+      }
+    }
+
+    if (config.type === 'sqlite') {
+      if (typeof config.table !== 'string' || !IDENTIFIER_PATTERN.test(config.table)) {
+        throw sinkError(`${label}.table must be a plain identifier (letters, digits, "_")`);
+      }
+      if (typeof config.key !== 'string' || config.key === '') {
+        throw sinkError(`${label}.key is required (the record field rows are keyed by)`);
+      }
+      if (config.path !== undefined && (typeof config.path !== 'string' || config.path === '')) {
+        throw sinkError(`${label}.path must be a file name`);
+      }
+    }
+  });
+  return list;
+}
+
+/**
+ * Replace webhook secretRefs with the referenced vault secret
+ * @returns {Promise<Array<object>>}
+ */
+async function resolveSinkSecrets(configs, vault) {
+  return Promise.all(validateSinks(configs).map(async (config) => {
+    if (config.type !== 'webhook' || !config.secretRef) {
+      return config;
+    }
+    const { credentials } = await vault.resolve(config.secretRef);
+    if (typeof credentials.secret !== 'string' || credentials.secret === '') {
+      throw sinkError(`Credential '${config.secretRef}' has no "secret" value for webhook signing`);
+    }
+    const { secretRef, ...rest } = config;
+    return { ...rest, secret: credentials.secret };
+  }));
+}
+
+/**
+ * Create sink instances for one execution
+ * @param {object} context - { executionId, script, log, egress, redactor, signal, outputDir }
+ */
+function createSinks(configs, context = {}) {
+  const outputDir = context.outputDir || process.env.SINK_OUTPUT_DIR || './data/output';
+  return validateSinks(configs).map(config => {
+    switch (config.type) {
+      case 'file':
+        return new FileSink({ ...config, path: resolveOutputPath(outputDir, config.path, context) });
+      case 'webhook':
+        if (config.secretRef) {
+          throw sinkError('Webhook secretRef must be resolved before the run (see resolveSinkSecrets)');
+        }
+        return new WebhookSink(config, context);
+      default:
+        return new SqliteSink({ ...config, path: resolveOutputPath(outputDir, config.path || 'results.db', context) }, context);
+    }
+  });
+}
+
+/**
+ * Write the result's records to every sink and close them
+ * Every sink is attempted; any failure fails the delivery as a whole
+ * @returns {Promise<Array<object>>} One summary per sink
+ * @throws {Error} with code SINK_FAILED listing the failed sinks
+ */
+async function deliverResult(sinks, result, executionId = 'unknown') {
+  const failures = new Map();
+  await writeToSinks(sinks, resultRecords(result), failures);
+  return closeSinks(sinks, executionId, failures);
+}
+
+/**
+ * Write a batch of records to every sink that has not failed yet
+ * A sink that fails is aborted and skipped from then on
+ * @param {Map} failures - Failed sinks and their errors, shared across batches
+ */
+async function writeToSinks(sinks, records, failures) {
+  for (const sink of sinks) {
+    if (failures.has(sink)) {
+      continue;
+    }
+    try {
+      await sink.write(records);
+    } catch (error) {
+      failures.set(sink, error);
+      await sink.abort();
+    }
+  }
+}
+
+/**
+ * Close every sink that has not failed and summarize the delivery
+ * @returns {Promise<Array<object>>} One summary per sink
+ * @throws {Error} with code SINK_FAILED listing the failed sinks
+ */
+async function closeSinks(sinks, executionId = 'unknown', failures = new Map()) {
+  const deliveries = [];
+  for (const sink of sinks) {
+    if (!failures.has(sink)) {
+      try {
+        const summary = await sink.close();
+        console.log(`📦 [${executionId}] Delivered ${summary.records} records to ${sink.type} ${summary.target}`);
+        deliveries.push(summary);
+        continue;
+      } catch (error) {
+        failures.set(sink, error);
+        await sink.abort();
+      }
+    }
+    deliveries.push({ type: sink.type, error: failures.get(sink).message });
+  }
+
+  const failed = deliveries.filter(delivery => delivery.error);
+  if (failed.length > 0) {
+    const error = new Error(`Result delivery failed: ${failed.map(delivery => `${delivery.type}: ${delivery.error}`).join('; ')}`);
+    error.code = 'SINK_FAILED';
+    error.deliveries = deliveries;
+    throw error;
+  }
+  return deliveries;
+}
+
+/**
+ * Discard whatever sinks have written so far (the run failed)
+ */
+async function abortSinks(sinks) {
+  await Promise.all(sinks.map(sink => sink.abort().catch(() => {})));
+}
+
+/**
+ * Records a result contributes: result.data when it is an array, an array result as is,
+ * otherwise the result as one record
+ */
+function resultRecords(result) {
+  if (result === undefined || result === null) {
+    return [];
+  }
+  if (Array.isArray(result)) {
+    return result;
+  }
+  if (Array.isArray(result.data)) {
+    return result.data;
+  }
+  return [result];
+}
+
+/**
+ * Resolve a sink file path inside the output directory ({executionId} and {date} are substituted)
+ * @throws {Error} with code SINK_INVALID when the path escapes it
+ */
+function resolveOutputPath(outputDir, filePath, context = {}) {
+  const relative = String(filePath)
+    .replace(/\{executionId\}/g, context.executionId || 'unknown')
+    .replace(/\{date\}/g, new Date().toISOString().slice(0, 10));
+  const base = path.resolve(outputDir);
+  const target = path.resolve(base, relative);
+  if (path.isAbsolute(relative) || !target.startsWith(base + path.sep)) {
+    throw sinkError(`Sink path '${filePath}' must be a relative path inside the output directory`);
+  }
+  return path.join(outputDir, path.relative(base, target));
+}
+
+function sinkError(message) {
+  const error = new Error(message);
+  error.code = 'SINK_INVALID';
+  return error;
+}
+
+module.exports = {
+  validateSinks,
+  resolveSinkSecrets,
+  createSinks,
+  deliverResult,
+  writeToSinks,
+  closeSinks,
+  abortSinks,
+  resultRecords,
+  SINK_TYPES,
+};
@@ -0,0 +1,105 @@
+// Defaults used when a script or runner enables retries with `retry: true`
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  minDelay: 500, // ms before the first retry
+  maxDelay: 30000, // ms cap for a single backoff delay
+  factor: 2,
+  jitter: true,
+  retryOn: [408, 425, 429, 500, 502, 503, 504],
+  // Non-idempotent methods (POST, PATCH) are only retried on 429, which means the request was not processed
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  respectRetryAfter: true,
+  maxRetryAfter: 120000, // ms; longer Retry-After values fail the request instead of waiting
+};
+
+// Network errors worth retrying (connection dropped, timed out, DNS hiccup)
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Retry Policy - exponential backoff with jitter for sandbox HTTP helpers
+ * Honors Retry-After headers on 429/503 responses
+ */
+class RetryPolicy {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_RETRY_OPTIONS, ...options };
+    this.options.methods = this.options.methods.map(method => method.toUpperCase());
+  }
+
+  /**
+   * Resolve the policy for a request from the script option and the runner default
+   * @param {boolean|object} requestOption - `retry` passed by the script (false disables, true uses defaults)
+   * @param {boolean|object} defaultOption - Runner/credential-set default
+   * @returns {RetryPolicy|null} null when retries are disabled
+   */
+  static resolve(requestOption, defaultOption) {
+    const chosen = requestOption === undefined ? defaultOption : requestOption;
+    if (!chosen) {
+      return null;
+    }
+
+    const base = typeof defaultOption === 'object' && defaultOption ? defaultOption : {};
+    const overrides = typeof chosen === 'object' ? chosen : {};
+    return new RetryPolicy(chosen === defaultOption ? base : { ...base, ...overrides });
+  }
+
+  /**
+   * Delay before the next attempt, or null when the outcome should not be retried
+   * @param {number} attempt - Attempt that just finished (1-based)
+   * @param {object} outcome - { response } or { error }
+   * @param {string} method - Upper-case HTTP method
+   */
+  nextDelay(attempt, outcome, method) {
+    if (attempt > this.options.retries || !this.isRetryable(outcome, method)) {
+      return null;
+    }
+
+    const retryAfter = outcome.response && this.options.respectRetryAfter
+      ? parseRetryAfter(outcome.response.headers['retry-after'])
+      : null;
+    if (retryAfter !== null) {
+      return retryAfter <= this.options.maxRetryAfter ? retryAfter : null;
+    }
+
+    const backoff = Math.min(this.options.maxDelay, this.options.minDelay * Math.pow(this.options.factor, attempt - 1));
+    // Full jitter spreads retries from concurrent runs
+    return this.options.jitter ? Math.round(Math.random() * backoff) : backoff;
+  }
+
+  isRetryable(outcome, method) {
+    if (outcome.response) {
+      const { status } = outcome.response;
+      if (!this.options.retryOn.includes(status)) {
+        return false;
+      }
+      return status === 429 || this.options.methods.includes(method);
+    }
+
+    const code = outcome.error && outcome.error.code;
+    return RETRYABLE_ERROR_CODES.includes(code) && this.options.methods.includes(method);
+  }
+
+  toJSON() {
+    return this.options;
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = RetryPolicy;
+module.exports.DEFAULT_RETRY_OPTIONS = DEFAULT_RETRY_OPTIONS;
+module.exports.parseRetryAfter = parseRetryAfter;
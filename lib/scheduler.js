@@ -0,0 +1,416 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCron, nextRun, validateTimeZone } = require('./cron');
+const { validateSinks } = require('./result-sinks');
+
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,63}$/;
+const OVERLAP_POLICIES = ['skip', 'queue', 'allow'];
+const CATCH_UP_POLICIES = ['none', 'last', 'all'];
+// Most missed runs started for one schedule on restart with catchUp "all"
+const MAX_CATCH_UP_RUNS = 10;
+// setTimeout cannot wait longer than ~24.8 days; longer waits re-arm on the way
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Scheduler - file-backed cron schedules for recurring script runs
+ *
+ * Schedules are stored in SCHEDULES_FILE (default ./data/schedules.json). The scheduler
+ * only decides when to run; the `trigger` callback starts the run and reports back:
+ *   trigger(schedule, { scheduledAt, catchUp }) => Promise<{ executionId, done: Promise<{ status, error }> }>
+ *
+ * Overlap policies apply while an earlier run of the same schedule is still active:
+ * "skip" drops the new run, "queue" starts it once the active run finishes, "allow" runs both.
+ * On start, runs missed while the server was down are dropped ("none"), started once
+ * for the most recent missed time ("last"), or started for each missed time in turn ("all").
+ */
+class Scheduler {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SCHEDULES_FILE || './data/schedules.json';
+    this.trigger = options.trigger;
+    // name -> pending timer, runs in flight, and runs waiting for them (overlap "queue")
+    this.timers = new Map();
+    this.active = new Map();
+    this.waiting = new Map();
+    this.running = false;
+    // Serializes read-modify-write updates of the schedules file
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Catch up on missed runs and arm a timer for every active schedule
+   */
+  async start() {
+    this.running = true;
+    const store = await this.readStore();
+    const now = new Date();
+    for (const schedule of Object.values(store.schedules)) {
+      if (!schedule.paused) {
+        // Catch-up runs one at a time in the background, so slow runs do not hold up the other schedules
+        this.catchUp(schedule, now)
+          .catch(error => console.error(`❌ [schedule ${schedule.name}] Catch-up failed:`, error.message));
+      }
+      this.arm(schedule.name);
+    }
+    console.log(`⏰ Scheduler started with ${Object.keys(store.schedules).length} schedules`);
+  }
+
+  /**
+   * Stop all timers; runs in flight are left to finish
+   */
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * List schedules with their next run time
+   */
+  async list() {
+    const store = await this.readStore();
+    return Object.keys(store.schedules).sort().map(name => this.toView(store.schedules[name]));
+  }
+
+  /**
+   * Get a single schedule
+   */
+  async get(name) {
+    const store = await this.readStore();
+    const schedule = store.schedules[name];
+    if (!schedule) {
+      throw scheduleError(`Schedule '${name}' not found`, 'SCHEDULE_NOT_FOUND');
+    }
+    return this.toView(schedule);
+  }
+
+  /**
+   * Create a schedule
+   * @param {object} spec - { name, scriptName, credentialRef, params, sinks, cron, timezone, overlap, catchUp, paused }
+   * @param {object} meta - { createdBy }
+   */
+  async create(spec, meta = {}) {
+    const schedule = normalizeSchedule(spec);
+    return this.withWriteLock(async () => {
+      const store = await this.readStore();
+      if (store.schedules[schedule.name]) {
+        throw scheduleError(`Schedule '${schedule.name}' already exists`, 'SCHEDULE_EXISTS');
+      }
+
+      const now = new Date().toISOString();
+      store.schedules[schedule.name] = {
+        ...schedule,
+        createdBy: meta.createdBy || 'anonymous',
+        createdAt: now,
+        updatedAt: now,
+        // Missed runs are counted from here, so a new schedule never catches up on the past
+        lastScheduledAt: now,
+        lastRunAt: null,
+        lastExecutionId: null,
+        lastStatus: null,
+        lastError: null,
+        lastSkippedAt: null,
+      };
+      await this.writeStore(store);
+      this.arm(schedule.name, store.schedules[schedule.name]);
+      return this.toView(store.schedules[schedule.name]);
+    });
+  }
+
+  /**
+   * Pause or resume a schedule
+   * Resuming does not catch up on runs missed while paused
+   */
+  async setPaused(name, paused) {
+    const schedule = await this.update(name, current => ({
+      paused,
+      lastScheduledAt: paused ? current.lastScheduledAt : new Date().toISOString(),
+    }));
+    if (!schedule) {
+      throw scheduleError(`Schedule '${name}' not found`, 'SCHEDULE_NOT_FOUND');
+    }
+    this.arm(name, schedule);
+    if (paused) {
+      this.waiting.delete(name);
+    }
+    return this.toView(schedule);
+  }
+
+  /**
+   * Delete a schedule; runs in flight are left to finish
+   */
+  async delete(name) {
+    await this.withWriteLock(async () => {
+      const store = await this.readStore();
+      if (!store.schedules[name]) {
+        throw scheduleError(`Schedule '${name}' not found`, 'SCHEDULE_NOT_FOUND');
+      }
+      delete store.schedules[name];
+      await this.writeStore(store);
+    });
+    clearTimeout(this.timers.get(name));
+    this.timers.delete(name);
+    this.waiting.delete(name);
+  }
+
+  /**
+   * Set (or clear, for paused schedules) the timer for a schedule's next run
+   */
+  arm(name, schedule) {
+    clearTimeout(this.timers.get(name));
+    this.timers.delete(name);
+    if (!this.running) {
+      return;
+    }
+
+    const load = schedule ? Promise.resolve(schedule) : this.readStore().then(store => store.schedules[name]);
+    load.then(current => {
+      if (!current || current.paused || !this.running) {
+        return;
+      }
+      const runAt = nextRun(parseCron(current.cron), new Date(), current.timezone);
+      const timer = setTimeout(() => {
+        if (this.timers.get(name) !== timer) {
+          return;
+        }
+        this.timers.delete(name);
+        if (Date.now() < runAt.getTime()) {
+          // Long delay reached its cap, or the timer fired early
+          return this.arm(name);
+        }
+        this.fire(name, runAt)
+          .catch(error => console.error(`❌ [schedule ${name}] Failed to start run:`, error.message))
+          .finally(() => this.arm(name));
+      }, Math.min(Math.max(runAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY));
+      timer.unref();
+      this.timers.set(name, timer);
+    }).catch(error => console.error(`❌ [schedule ${name}] Failed to arm timer:`, error.message));
+  }
+
+  /**
+   * Start (or skip/queue, per the overlap policy) the run due at `scheduledAt`
+   */
+  async fire(name, scheduledAt, options = {}) {
+    const schedule = await this.update(name, current =>
+      (current.paused ? null : { lastScheduledAt: latest(current.lastScheduledAt, scheduledAt) }));
+    if (!schedule || schedule.paused) {
+      return;
+    }
+
+    const context = { scheduledAt, catchUp: Boolean(options.catchUp) };
+    if ((this.active.get(name) || 0) > 0) {
+      if (schedule.overlap === 'skip') {
+        console.warn(`⏭️  [schedule ${name}] Skipping run due ${scheduledAt.toISOString()}: previous run still active`);
+        await this.update(name, () => ({ lastSkippedAt: scheduledAt.toISOString() }));
+        return;
+      }
+      if (schedule.overlap === 'queue') {
+        console.log(`⏳ [schedule ${name}] Run due ${scheduledAt.toISOString()} waits for the previous run`);
+        this.waiting.set(name, [...(this.waiting.get(name) || []), context]);
+        return;
+      }
+    }
+    // Catch-up runs finish before the next one fires; other runs are not awaited, and a
+    // failed schedules.json update must not become an unhandled rejection
+    const launched = this.launch(schedule, context)
+      .catch(error => console.error(`❌ [schedule ${name}] Failed to update schedule state:`, error.message));
+    if (options.catchUp) {
+      await launched;
+    }
+  }
+
+  async launch(schedule, context) {
+    const { name } = schedule;
+    this.active.set(name, (this.active.get(name) || 0) + 1);
+    console.log(`⏰ [schedule ${name}] Running ${schedule.scriptName} (due ${context.scheduledAt.toISOString()}${context.catchUp ? ', catch-up' : ''})`);
+
+    try {
+      const run = await this.trigger(schedule, context);
+      await this.update(name, () => ({
+        lastRunAt: new Date().toISOString(),
+        lastExecutionId: run.executionId,
+        lastStatus: 'running',
+        lastError: null,
+      }));
+      const outcome = await run.done;
+      await this.update(name, () => ({ lastStatus: outcome.status, lastError: outcome.error || null }));
+    } catch (error) {
+      console.error(`❌ [schedule ${name}] Run failed to start:`, error.message);
+      await this.update(name, () => ({ lastRunAt: new Date().toISOString(), lastStatus: 'failed', lastError: error.message }));
+    } finally {
+      this.active.set(name, this.active.get(name) - 1);
+      const queued = this.waiting.get(name) || [];
+      if (queued.length > 0) {
+        const next = queued.shift();
+        const current = await this.readStore().then(store => store.schedules[name], () => null);
+        if (current && !current.paused) {
+          this.launch(current, next)
+            .catch(error => console.error(`❌ [schedule ${name}] Failed to update schedule state:`, error.message));
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle runs that fell due while the server was down
+   */
+  async catchUp(schedule, now) {
+    const cron = parseCron(schedule.cron);
+    const missed = [];
+    let time = new Date(schedule.lastScheduledAt || schedule.createdAt);
+    // Collect one extra so we know whether the list was cut off
+    while (missed.length <= MAX_CATCH_UP_RUNS) {
+      time = nextRun(cron, time, schedule.timezone);
+      if (time > now) break;
+      missed.push(time);
+    }
+    if (missed.length === 0) {
+      return;
+    }
+
+    const cutOff = missed.length > MAX_CATCH_UP_RUNS;
+    const count = cutOff ? `more than ${MAX_CATCH_UP_RUNS}` : missed.length;
+    if (schedule.catchUp === 'none') {
+      console.log(`⏭️  [schedule ${schedule.name}] Skipping ${count} missed runs (catchUp: none)`);
+      await this.update(schedule.name, () => ({ lastScheduledAt: now.toISOString() }));
+      return;
+    }
+
+    let runs;
+    if (schedule.catchUp === 'last') {
+      let last = missed[missed.length - 1];
+      for (let next = nextRun(cron, last, schedule.timezone); next <= now; next = nextRun(cron, next, schedule.timezone)) {
+        last = next;
+      }
+      runs = [last];
+      console.log(`⏰ [schedule ${schedule.name}] Catching up on the last of ${count} missed runs`);
+    } else {
+      runs = missed.slice(0, MAX_CATCH_UP_RUNS);
+      console.log(cutOff
+        ? `⏰ [schedule ${schedule.name}] Catching up on the first ${runs.length} of ${count} missed runs; the rest are skipped`
+        : `⏰ [schedule ${schedule.name}] Catching up on ${runs.length} missed runs`);
+    }
+    for (const scheduledAt of runs) {
+      await this.fire(schedule.name, scheduledAt, { catchUp: true });
+    }
+    await this.update(schedule.name, current => ({ lastScheduledAt: latest(current.lastScheduledAt, now) }));
+  }
+
+  /**
+   * Apply changes to a stored schedule
+   * @param {function} changes - (current) => fields to merge, or null to leave it unchanged
+   * @returns {Promise<object|null>} The updated schedule, or null when it no longer exists
+   */
+  update(name, changes) {
+    return this.withWriteLock(async () => {
+      const store = await this.readStore();
+      const current = store.schedules[name];
+      if (!current) {
+        return null;
+      }
+      const fields = changes(current);
+      if (!fields) {
+        return current;
+      }
+      store.schedules[name] = { ...current, ...fields, updatedAt: new Date().toISOString() };
+      await this.writeStore(store);
+      return store.schedules[name];
+    });
+  }
+
+  /**
+   * Run an update after any in-flight update has finished
+   */
+  withWriteLock(update) {
+    const result = this.writeQueue.then(update);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  toView(schedule) {
+    return {
+      ...schedule,
+      nextRunAt: schedule.paused ? null : nextRun(parseCron(schedule.cron), new Date(), schedule.timezone).toISOString(),
+      activeRuns: this.active.get(schedule.name) || 0,
+      queuedRuns: (this.waiting.get(schedule.name) || []).length,
+    };
+  }
+
+  async readStore() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read schedules ${this.filePath}: ${error.message}`);
+      }
+      return { version: 1, schedules: {} };
+    }
+  }
+
+  async writeStore(store) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Write to a temp file and rename so a crash never leaves a half-written file
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Validate a schedule definition and fill in defaults
+ * @throws {Error} with code SCHEDULE_INVALID
+ */
+function normalizeSchedule(spec = {}) {
+  const { name, scriptName, credentialRef, params = {}, sinks, cron, timezone = 'UTC', overlap = 'skip', catchUp = 'none', paused = false } = spec;
+
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw scheduleError('Schedule name must be 1-64 characters: letters, digits, ".", "_" or "-"', 'SCHEDULE_INVALID');
+  }
+  if (typeof scriptName !== 'string' || scriptName === '') {
+    throw scheduleError('scriptName is required', 'SCHEDULE_INVALID');
+  }
+  if (credentialRef !== undefined && (typeof credentialRef !== 'string' || credentialRef === '')) {
+    throw scheduleError('credentialRef must be a credential name', 'SCHEDULE_INVALID');
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    throw scheduleError('params must be a JSON object', 'SCHEDULE_INVALID');
+  }
+  if (!OVERLAP_POLICIES.includes(overlap)) {
+    throw scheduleError(`overlap must be one of: ${OVERLAP_POLICIES.join(', ')}`, 'SCHEDULE_INVALID');
+  }
+  if (!CATCH_UP_POLICIES.includes(catchUp)) {
+    throw scheduleError(`catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}`, 'SCHEDULE_INVALID');
+  }
+  if (typeof paused !== 'boolean') {
+    throw scheduleError('paused must be a boolean', 'SCHEDULE_INVALID');
+  }
+
+  let sinkList;
+  try {
+    // Stored schedules must reference webhook secrets by secretRef
+    sinkList = validateSinks(sinks, { allowInlineSecrets: false });
+    validateTimeZone(timezone);
+    // Also rejects expressions that can never match
+    nextRun(parseCron(cron), new Date(), timezone);
+  } catch (error) {
+    throw scheduleError(error.message, 'SCHEDULE_INVALID');
+  }
+
+  return { name, scriptName, credentialRef: credentialRef || null, params, sinks: sinkList, cron: cron.trim(), timezone, overlap, catchUp, paused };
+}
+
+/**
+ * The later of a stored ISO timestamp and a date, as an ISO timestamp
+ */
+function latest(stored, date) {
+  return stored && new Date(stored) > date ? stored : date.toISOString();
+}
+
+function scheduleError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = Scheduler;
+module.exports.OVERLAP_POLICIES = OVERLAP_POLICIES;
+module.exports.CATCH_UP_POLICIES = CATCH_UP_POLICIES;
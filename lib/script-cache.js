@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Script Cache - LRU of loaded script text and V8 code-cache data, shared by all executions of a runner
+ *
+ * Entries are keyed by source descriptor and only used while the content hash still matches:
+ * - Sources that pin their content (inline code, database versions, git commits, S3 object
+ *   versions, URLs with an integrity hash) and files whose size and mtime are unchanged are
+ *   served from the cache without going through the ScriptLoader.
+ * - Other sources are loaded as usual; when the loaded code hashes the same, its compiled
+ *   code cache is reused.
+ * Uploads and deletes invalidate a script's entries by name.
+ */
+class ScriptCache {
+  /**
+   * @param {object} options - { maxEntries } (default SCRIPT_CACHE_SIZE or 100; 0 disables the cache)
+   */
+  constructor(options = {}) {
+    const configured = options.maxEntries !== undefined ? options.maxEntries : parseInt(process.env.SCRIPT_CACHE_SIZE, 10);
+    this.maxEntries = Number.isInteger(configured) && configured >= 0 ? configured : 100;
+    // Map keeps insertion order; re-inserting on use makes the first key the least recently used
+    this.entries = new Map();
+    this.counters = { hits: 0, misses: 0, sourceHits: 0, rejected: 0, evictions: 0, invalidations: 0 };
+  }
+
+  /**
+   * Cached script for a source whose content cannot have changed, or null
+   * @returns {Promise<object|null>} { code, provenance, sha256, cachedData, scriptName }
+   */
+  async lookup(source) {
+    // Malformed sources are left to the ScriptLoader to reject
+    if (typeof source !== 'string' && !(source && typeof source === 'object' && source.type)) {
+      return null;
+    }
+    const key = sourceKey(source);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.file) {
+      const stats = await fs.promises.stat(entry.file.path).catch(() => null);
+      if (!stats || stats.size !== entry.file.size || stats.mtimeMs !== entry.file.mtimeMs) {
+        return null;
+      }
+    } else if (!isPinned(source)) {
+      return null;
+    }
+    this.touch(key, entry);
+    this.counters.sourceHits += 1;
+    return entry;
+  }
+
+  /**
+   * Record freshly loaded code; an entry with the same content keeps its compiled code cache
+   * @param {object} loaded - { code, provenance } from ScriptLoader.load
+   * @param {object} options - { scriptName } for invalidation, { file } { path, size, mtimeMs } stats read before loading
+   * @returns {object} The cache entry
+   */
+  store(source, loaded, options = {}) {
+    const key = sourceKey(source);
+    const existing = this.entries.get(key);
+    const entry = {
+      code: loaded.code,
+      provenance: loaded.provenance,
+      sha256: loaded.provenance.sha256,
+      cachedData: existing && existing.sha256 === loaded.provenance.sha256 ? existing.cachedData : null,
+      scriptName: options.scriptName || (existing && existing.scriptName) || null,
+      file: options.file || null
+    };
+    if (this.maxEntries === 0) {
+      return entry;
+    }
+    this.touch(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions += 1;
+    }
+    return entry;
+  }
+
+  /**
+   * Count a compilation: hit when V8 accepted the entry's code cache
+   */
+  recordCompile(entry, { usedCache, rejected, cachedData }) {
+    if (usedCache && !rejected) {
+      this.counters.hits += 1;
+    } else {
+      this.counters.misses += 1;
+    }
+    if (rejected) {
+      // Produced by a different V8 build or flags; the next compile makes fresh data
+      this.counters.rejected += 1;
+      entry.cachedData = null;
+    }
+    if (cachedData) {
+      entry.cachedData = cachedData;
+    }
+  }
+
+  /**
+   * Drop every entry run under a script name (after an upload or delete)
+   * @returns {number} Entries removed
+   */
+  invalidate(scriptName) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.scriptName === scriptName) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    this.counters.invalidations += removed;
+    return removed;
+  }
+
+  clear() {
+    this.counters.invalidations += this.entries.size;
+    this.entries.clear();
+  }
+
+  /**
+   * @returns {object} { entries, maxEntries, hits, misses, sourceHits, rejected, evictions, invalidations }
+   */
+  stats() {
+    return { entries: this.entries.size, maxEntries: this.maxEntries, ...this.counters };
+  }
+
+  touch(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+}
+
+/**
+ * Whether a source descriptor fixes the content it loads
+ */
+function isPinned(source) {
+  switch (source.type) {
+    case 'inline':
+      return true;
+    case 'database':
+      return Number.isInteger(source.version);
+    case 'git':
+      return /^[a-f0-9]{40}$/i.test(String(source.ref));
+    case 's3':
+      return Boolean(source.versionId);
+    case 'url':
+      return Boolean(source.integrity);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Stable cache key for a source descriptor (inline code is keyed by its hash)
+ */
+function sourceKey(source) {
+  if (typeof source === 'string') {
+    return `file:${path.resolve(source)}`;
+  }
+  const descriptor = source.type === 'inline'
+    ? { type: 'inline', sha256: crypto.createHash('sha256').update(String(source.code)).digest('hex') }
+    : source;
+  return `${source.type}:${stableStringify(descriptor)}`;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = ScriptCache;
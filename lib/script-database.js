@@ -0,0 +1,192 @@
+const SqliteScriptAdapter = require('./sqlite-script-adapter');
+const {
+  DEFAULT_MAX_SIZE, validateUpload, addRevision, versionHistory, pinnedRevision, rollbackRevision, validateName, storeError,
+} = require('./script-revisions');
+
+/**
+ * Script Database - script revisions stored in a database instead of files
+ *
+ * Same interface and versioning rules (script-revisions) as ScriptStore: versions, tags,
+ * `latest`, rollback. resolve() returns a { type: "database", scriptId, version } source for the runner
+ * instead of a file path. Storage goes through an adapter; SQLite is the default.
+ *
+ * Adapter interface (all methods async):
+ *   init()                               create tables / connect
+ *   readIndex(name)                      { name, latest, tags: { tag: revision }, revisions: [...] } (no code)
+ *   listScripts()                        [{ name, size, updatedAt }] for scripts with a latest revision
+ *   readCode(name, sha256)               code of a revision, or null
+ *   insertRevision(name, revision, code) store a new revision { version, revision, sha256, size, author, notes, createdAt }
+ *   setLatest(name, revision)            point latest at a revision id (null clears it)
+ *   setTag(name, tag, revision)          create or move a tag
+ *   close()
+ */
+class ScriptDatabase {
+  /**
+   * @param {object} options - { adapter } (default SqliteScriptAdapter), { path } for the default adapter,
+   *   { maxSize } largest accepted script in bytes
+   */
+  constructor(options = {}) {
+    this.adapter = options.adapter || new SqliteScriptAdapter({ path: options.path });
+    this.maxSize = options.maxSize || parseInt(process.env.MAX_SCRIPT_SIZE, 10) || DEFAULT_MAX_SIZE;
+    this.ready = null;
+    // Serializes read-modify-write updates within this process
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Store a new revision and make it the latest
+   * Uploading content identical to an existing revision moves `latest` back to it
+   * @param {object} meta - { author, notes, tag }
+   * @returns {Promise<{revision: object, created: boolean, source: object}>}
+   */
+  async save(name, content, meta = {}) {
+    validateUpload(name, content, meta, this.maxSize);
+    const code = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+
+    return this.withWriteLock(async () => {
+      // addRevision only changes the index in memory; the adapter stores each change
+      const { revision, created } = addRevision(await this.readIndex(name), code, meta);
+      if (created) {
+        await this.adapter.insertRevision(name, revision, code);
+      }
+
+      if (meta.tag) {
+        await this.adapter.setTag(name, meta.tag, revision.revision);
+      }
+      await this.adapter.setLatest(name, revision.revision);
+      return { revision, created, source: sourceOf(name, revision) };
+    });
+  }
+
+  /**
+   * List scripts that have a latest revision
+   * @returns {Promise<Array<{name: string, source: object, size: number, modified: string}>>}
+   */
+  async list() {
+    await this.init();
+    const scripts = await this.adapter.listScripts();
+    return scripts.map(({ name, size, updatedAt }) => ({
+      name,
+      source: { type: 'database', scriptId: name },
+      size,
+      modified: updatedAt,
+    }));
+  }
+
+  /**
+   * Read a script's content (latest, or a pinned version)
+   * @param {object} ref - { version } or { tag }, see resolve
+   * @returns {Promise<{name: string, source: object, content: string, size: number, modified: string, revision: object}>}
+   */
+  async read(name, ref = {}) {
+    const resolved = await this.resolve(name, ref);
+    const content = await this.adapter.readCode(name, resolved.revision.sha256);
+    if (content === null) {
+      throw storeError(`Script '${name}' not found`, 'SCRIPT_NOT_FOUND');
+    }
+    return {
+      ...resolved,
+      content,
+      size: resolved.revision.size,
+      modified: resolved.revision.createdAt,
+    };
+  }
+
+  /**
+   * Version history of a script, newest first
+   * @returns {Promise<{name: string, latest: string, tags: object, revisions: object[]}>}
+   */
+  async versions(name) {
+    validateName(name);
+    return versionHistory(await this.readIndex(name), name);
+  }
+
+  /**
+   * Resolve a script name (optionally pinned to a version or tag) to a stored revision
+   * @param {object} ref - { version } number, revision id or tag; or { tag }
+   * @returns {Promise<{name: string, source: object, revision: object}>}
+   * @throws {Error} SCRIPT_NOT_FOUND, VERSION_NOT_FOUND, or SCRIPT_INVALID for bad names
+   */
+  async resolve(name, ref = {}) {
+    validateName(name);
+    const revision = pinnedRevision(await this.readIndex(name), name, ref);
+    if (!revision) {
+      throw storeError(`Script '${name}' not found`, 'SCRIPT_NOT_FOUND');
+    }
+    return { name, source: sourceOf(name, revision), revision };
+  }
+
+  /**
+   * Move the `latest` pointer to an earlier revision
+   * @param {object} ref - { version } or { tag }
+   * @returns {Promise<object>} The revision that is now latest
+   */
+  async rollback(name, ref = {}) {
+    validateName(name);
+    return this.withWriteLock(async () => {
+      const revision = rollbackRevision(await this.readIndex(name), name, ref);
+      await this.adapter.setLatest(name, revision.revision);
+      return revision;
+    });
+  }
+
+  /**
+   * Clear a script's `latest` pointer; stored revisions are kept
+   * @returns {Promise<boolean>} false when there was nothing to delete
+   */
+  async delete(name) {
+    validateName(name);
+    return this.withWriteLock(async () => {
+      const index = await this.readIndex(name);
+      if (!index.latest) {
+        return false;
+      }
+      await this.adapter.setLatest(name, null);
+      return true;
+    });
+  }
+
+  /**
+   * Read a stored revision's code (used by the database script source)
+   * @param {object} ref - { version } number, revision id or tag (default latest)
+   * @returns {Promise<{code: string, revision: object}>}
+   */
+  async load(name, ref = {}) {
+    const { content, revision } = await this.read(name, ref);
+    return { code: content, revision };
+  }
+
+  async init() {
+    if (!this.ready) {
+      this.ready = this.adapter.init();
+      // Let a failed connection be retried by the next call
+      this.ready.catch(() => { this.ready = null; });
+    }
+    return this.ready;
+  }
+
+  async readIndex(name) {
+    await this.init();
+    return this.adapter.readIndex(name);
+  }
+
+  /**
+   * Run an update after any in-flight update has finished
+   */
+  withWriteLock(update) {
+    const result = this.writeQueue.then(update);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async close() {
+    await this.adapter.close();
+    this.ready = null;
+  }
+}
+
+function sourceOf(name, revision) {
+  return { type: 'database', scriptId: name, version: revision.version };
+}
+
+module.exports = ScriptDatabase;
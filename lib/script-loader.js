@@ -1,19 +1,57 @@
 const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
 const { Readable } = require("stream");
+const { parseManifest } = require("./script-manifest");
+const { signRequest, encodeRfc3986, EMPTY_PAYLOAD_HASH } = require("./sigv4");
+const ScriptDatabase = require("./script-database");
+const GitCache = require("./git-cache");
+const { describeRepo } = GitCache;
+
+const INTEGRITY_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
 
 /**
  * Script Loader - handles loading scripts from different sources
- * Currently supports file system, can be extended for S3, database, etc.
+ * Supports file system, inline code, URLs, S3, git repositories and the script database
  */
 class ScriptLoader {
-  constructor() {
+  /**
+   * @param {object} options - { cacheDir } for downloaded scripts, { requireIntegrity } to refuse
+   *   URL sources without an integrity hash, { urlTimeout } ms and { urlMaxSize } bytes defaults
+   *   for URL and S3 downloads, { s3 } { accessKeyId, secretAccessKey, sessionToken, region,
+   *   endpoint, forcePathStyle } defaults for S3 sources, { database } ScriptDatabase for database
+   *   sources (default: the SQLite database at SCRIPT_DATABASE_FILE, opened on first use),
+   *   { gitTimeout } ms per git command
+   */
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || process.env.SCRIPT_CACHE_DIR || './data/script-cache';
+    this.requireIntegrity = options.requireIntegrity !== undefined
+      ? options.requireIntegrity
+      : process.env.SCRIPT_URL_REQUIRE_INTEGRITY === 'true';
+    this.urlTimeout = options.urlTimeout || 10000;
+    this.urlMaxSize = options.urlMaxSize || 1024 * 1024;
+    this.database = options.database || null;
+    this.git = new GitCache({ dir: path.join(this.cacheDir, 'git'), timeout: options.gitTimeout });
+    const s3 = options.s3 || {};
+    this.s3 = {
+      accessKeyId: s3.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: s3.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: s3.sessionToken || process.env.AWS_SESSION_TOKEN,
+      region: s3.region || process.env.AWS_REGION || 'us-east-1',
+      endpoint: s3.endpoint || process.env.AWS_ENDPOINT_URL_S3,
+      forcePathStyle: s3.forcePathStyle !== undefined
+        ? s3.forcePathStyle
+        : (process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined)
+    };
     this.sources = {
       file: this.loadFromFile.bind(this),
       inline: this.loadFromInline.bind(this),
       s3: this.loadFromS3.bind(this),
+      url: this.loadFromUrl.bind(this),
+      database: this.loadFromDatabase.bind(this),
+      git: this.loadFromGit.bind(this),
       // Future sources can be added here
-      // database: this.loadFromDatabase.bind(this),
-      // url: this.loadFromUrl.bind(this)
     };
   }
 
@@ -23,20 +61,44 @@ class ScriptLoader {
    * @returns {Promise<string>} Script content
    */
   async loadScript(source) {
+    return (await this.load(source)).code;
+  }
+
+  /**
+   * Load script content with provenance: where exactly the code came from
+   * Loaders return the code, or { code, provenance } with source details (ETag, version, ...)
+   * @param {string|object} source - File path string or source object
+   * @returns {Promise<{code: string, provenance: object}>} provenance is { type, ...details, sha256 }
+   */
+  async load(source) {
+    let type;
+    let loaded;
     if (typeof source === 'string') {
       // Default to file system
-      return await this.loadFromFile(source);
-    }
-
-    if (typeof source === 'object' && source.type) {
+      type = 'file';
+      loaded = await this.loadFromFile(source);
+    } else if (source && typeof source === 'object' && source.type) {
       const loader = this.sources[source.type];
       if (!loader) {
         throw new Error(`Unsupported script source type: ${source.type}`);
       }
-      return await loader(source);
+      type = source.type;
+      loaded = await loader(source);
+    } else {
+      throw new Error('Invalid script source format');
     }
 
-    throw new Error('Invalid script source format');
+    const { code, provenance = {} } = typeof loaded === 'string' ? { code: loaded } : loaded;
+    return { code, provenance: { type, ...provenance, sha256: crypto.createHash('sha256').update(code).digest('hex') } };
+  }
+
+  /**
+   * Load the manifest a script declares, without executing it
+   * @param {string|object} source - File path string or source object
+   * @returns {Promise<object|null>} Manifest, or null when the script declares none
+   */
+  async loadManifest(source) {
+    return parseManifest(await this.loadScript(source));
   }
 
   /**
@@ -76,50 +138,227 @@ class ScriptLoader {
   }
 
   /**
-   * Load script from S3 (placeholder for future implementation)
+   * Load script from S3 or an S3-compatible store (MinIO, Ceph, ...)
+   * { bucket, key, versionId, region, endpoint, forcePathStyle, timeout, maxSize }: requests are
+   * signed with SigV4 using the loader's s3 credentials (or AWS_* environment variables), or
+   * sent unsigned when there are none. Custom endpoints use path-style addressing unless
+   * forcePathStyle is false.
    */
   async loadFromS3(source) {
-    const { bucket, key, region = 'us-east-1' } = source;
-    
-    if (!bucket || !key) {
-      throw new Error('S3 source requires bucket and key');
+    const { bucket, key, versionId, timeout = this.urlTimeout, maxSize = this.urlMaxSize } = source;
+    if (!bucket || !key || typeof bucket !== 'string' || typeof key !== 'string') {
+      throw loaderError('S3 source requires bucket and key', 'SCRIPT_SOURCE_INVALID');
     }
-
-    // TODO: Implement actual S3 reading
-    // Example implementation:
-    /*
-    const AWS = require('aws-sdk');
-    const s3 = new AWS.S3({ region });
-    
+    const region = source.region || this.s3.region;
+    const endpointUrl = source.endpoint || this.s3.endpoint;
+    let endpoint;
     try {
-      const result = await s3.getObject({ Bucket: bucket, Key: key }).promise();
-      return result.Body.toString('utf8');
+      endpoint = new URL(endpointUrl || `https://s3.${region}.amazonaws.com`);
     } catch (error) {
-      throw new Error(`Failed to read from S3 ${bucket}/${key}: ${error.message}`);
+      throw loaderError(`S3 endpoint '${endpointUrl}' is not a URL`, 'SCRIPT_SOURCE_INVALID');
     }
-    */
-    
-    throw new Error(`S3 reading not implemented yet. Would read from s3://${bucket}/${key}`);
+    const pathStyle = source.forcePathStyle !== undefined
+      ? source.forcePathStyle
+      : (this.s3.forcePathStyle !== undefined ? this.s3.forcePathStyle : Boolean(endpointUrl));
+
+    const objectPath = `${endpoint.pathname.replace(/\/$/, '')}${pathStyle ? `/${encodeRfc3986(bucket)}` : ''}/${key.split('/').map(encodeRfc3986).join('/')}`;
+    const origin = pathStyle ? endpoint.origin : `${endpoint.protocol}//${bucket}.${endpoint.host}`;
+    const url = `${origin}${objectPath}${versionId ? `?versionId=${encodeRfc3986(versionId)}` : ''}`;
+    const target = `s3://${bucket}/${key}${versionId ? ` (version ${versionId})` : ''}`;
+
+    let headers = { 'x-amz-content-sha256': EMPTY_PAYLOAD_HASH };
+    if (this.s3.accessKeyId && this.s3.secretAccessKey) {
+      headers = signRequest({ method: 'GET', url, headers }, { region, service: 's3', credentials: this.s3 });
+    }
+    const response = await this.fetchUrl(url, { headers, timeout, maxSize, target });
+
+    if (response.status !== 200) {
+      throw s3Error(response, { bucket, key, versionId, target });
+    }
+    return {
+      code: response.body.toString('utf8'),
+      provenance: {
+        bucket,
+        key,
+        versionId: response.headers['x-amz-version-id'] || versionId || null,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null
+      }
+    };
   }
 
   /**
-   * Load script from database (placeholder for future implementation)
+   * Load script from the script database
+   * { scriptId, version }: version is a number, revision id or tag (default latest)
    */
   async loadFromDatabase(source) {
-    const { connectionString, query, scriptId } = source;
-    
-    // TODO: Implement database reading
-    throw new Error('Database reading not implemented yet');
+    const { scriptId, version } = source;
+    if (!scriptId || typeof scriptId !== 'string') {
+      throw loaderError('Database source requires scriptId', 'SCRIPT_SOURCE_INVALID');
+    }
+
+    this.database = this.database || new ScriptDatabase();
+    const { code, revision } = await this.database.load(scriptId, { version });
+    return { code, provenance: { scriptId, version: revision.version, revision: revision.revision } };
+  }
+
+  /**
+   * Load script from a git repository
+   * { repo, ref, path, maxSize }: repo is a URL (https, ssh, file://) or a local repository path,
+   * ref a branch, tag or commit (default HEAD). The repository is mirrored under the cache
+   * directory and the ref resolved to the commit that is recorded in the provenance.
+   */
+  async loadFromGit(source) {
+    const { repo, ref = 'HEAD', path: filePath, maxSize = this.urlMaxSize } = source;
+    if (!repo || typeof repo !== 'string' || repo.startsWith('-')) {
+      throw loaderError('Git source requires a repo URL or path', 'SCRIPT_SOURCE_INVALID');
+    }
+    if (typeof ref !== 'string' || !ref || ref.startsWith('-')) {
+      throw loaderError('Git source ref must be a branch, tag or commit', 'SCRIPT_SOURCE_INVALID');
+    }
+    if (!filePath || typeof filePath !== 'string' || filePath.startsWith('/')
+      || filePath.split('/').some(part => part === '..' || part === '')) {
+      throw loaderError('Git source requires a relative path to the script inside the repository', 'SCRIPT_SOURCE_INVALID');
+    }
+
+    // Local repositories are keyed and recorded by absolute path; URLs and scp-style remotes as given
+    const location = /^[a-z][a-z0-9+.-]*:\/\//i.test(repo) || /^[^/]+:/.test(repo) ? repo : path.resolve(repo);
+    const commit = await this.git.resolve(location, ref);
+    const code = await this.git.readFile(location, commit, filePath, maxSize);
+    return { code, provenance: { repo: describeRepo(location), ref, commit, path: filePath } };
   }
 
   /**
-   * Load script from URL (placeholder for future implementation)
+   * Load script from an HTTP(S) URL
+   * { url, headers, integrity, timeout, maxSize }: integrity is an SRI string ("sha256-<base64>",
+   * several allowed) or a hex SHA-256 digest. Downloads are cached on disk and revalidated with
+   * their ETag; a cached copy that matches the integrity hash is used without a request.
    */
   async loadFromUrl(source) {
-    const { url, headers = {} } = source;
-    
-    // TODO: Implement URL reading
-    throw new Error('URL reading not implemented yet');
+    const { url, headers = {}, integrity, timeout = this.urlTimeout, maxSize = this.urlMaxSize } = source;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw loaderError('URL source requires an http(s) url', 'SCRIPT_SOURCE_INVALID');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw loaderError('URL source requires an http(s) url', 'SCRIPT_SOURCE_INVALID');
+    }
+    const target = describeUrl(parsed);
+    if (!integrity && this.requireIntegrity) {
+      throw loaderError(`URL source ${target} needs an integrity hash (SCRIPT_URL_REQUIRE_INTEGRITY is on)`, 'INTEGRITY_REQUIRED');
+    }
+    const expected = integrity ? parseIntegrity(integrity) : null;
+
+    const cached = await this.readUrlCache(url);
+    // Content pinned by hash cannot change, so a matching cached copy needs no request
+    if (cached && expected && matchesIntegrity(cached.content, expected)) {
+      return { code: cached.content, provenance: { url: target, etag: cached.etag, cached: true } };
+    }
+
+    const response = await this.fetchUrl(url, {
+      headers: cached && cached.etag ? { ...headers, 'If-None-Match': cached.etag } : headers,
+      timeout,
+      maxSize,
+      target
+    });
+    let content;
+    let etag;
+    if (response.status === 304 && cached) {
+      content = cached.content;
+      etag = cached.etag;
+    } else if (response.status === 200) {
+      content = response.body.toString('utf8');
+      etag = response.headers.etag || null;
+    } else {
+      throw loaderError(`Failed to fetch script from ${target}: HTTP ${response.status}`, 'SCRIPT_FETCH_FAILED');
+    }
+
+    if (expected && !matchesIntegrity(content, expected)) {
+      throw loaderError(
+        `Integrity check failed for ${target}: expected ${integrity}, got sha256-${digest('sha256', content)}`,
+        'INTEGRITY_MISMATCH'
+      );
+    }
+    if (response.status === 200) {
+      // The cache only saves requests; failing to write it must not fail the run
+      await this.writeUrlCache(url, content, etag)
+        .catch(error => console.warn(`⚠️  Could not cache script from ${target}: ${error.message}`));
+    }
+    return { code: content, provenance: { url: target, etag, cached: response.status === 304 } };
+  }
+
+  /**
+   * GET a URL with a timeout covering the whole download and a body size limit
+   * @param {object} options - { headers, timeout, maxSize, target } (target names the script in errors)
+   * @returns {Promise<{status: number, headers: object, body: Buffer}>} Any HTTP status
+   * @throws {Error} with code SCRIPT_FETCH_FAILED (timeouts, connection errors) or SCRIPT_TOO_LARGE
+   */
+  async fetchUrl(url, { headers = {}, timeout, maxSize, target }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await axios.get(url, {
+        headers,
+        responseType: 'stream',
+        signal: controller.signal,
+        maxRedirects: 5,
+        validateStatus: () => true
+      });
+      const body = await readBody(response.data, maxSize, target);
+      return { status: response.status, headers: response.headers, body };
+    } catch (error) {
+      if (error.code === 'SCRIPT_TOO_LARGE') {
+        throw error;
+      }
+      if (controller.signal.aborted) {
+        throw loaderError(`Timed out after ${timeout}ms fetching script from ${target}`, 'SCRIPT_FETCH_FAILED');
+      }
+      throw loaderError(`Failed to fetch script from ${target}: ${error.message}`, 'SCRIPT_FETCH_FAILED');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Cached download of a URL: { content, etag } or null
+   */
+  async readUrlCache(url) {
+    const base = this.urlCachePath(url);
+    try {
+      const [content, meta] = await Promise.all([
+        fs.promises.readFile(`${base}.js`, 'utf8'),
+        fs.promises.readFile(`${base}.json`, 'utf8')
+      ]);
+      const { etag = null, sha256 } = JSON.parse(meta);
+      // A torn or edited cache entry is ignored rather than trusted
+      return sha256 === digest('sha256', content) ? { content, etag } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeUrlCache(url, content, etag) {
+    const base = this.urlCachePath(url);
+    const meta = { url: describeUrl(new URL(url)), etag, sha256: digest('sha256', content), fetchedAt: new Date().toISOString() };
+    await fs.promises.mkdir(this.cacheDir, { recursive: true });
+    for (const [file, data] of [[`${base}.js`, content], [`${base}.json`, JSON.stringify(meta, null, 2)]]) {
+      // Unique per write: concurrent loads of the same URL each rename their own temp file
+      const tempPath = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      try {
+        await fs.promises.writeFile(tempPath, data, { mode: 0o600 });
+        await fs.promises.rename(tempPath, file);
+      } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+    }
+  }
+
+  urlCachePath(url) {
+    return path.join(this.cacheDir, crypto.createHash('sha256').update(url).digest('hex'));
   }
 
   /**
@@ -142,4 +381,90 @@ class ScriptLoader {
   }
 }
 
+/**
+ * Parse an integrity value into [{ algorithm, hash (base64) }]
+ * @throws {Error} with code SCRIPT_SOURCE_INVALID
+ */
+function parseIntegrity(integrity) {
+  if (typeof integrity !== 'string') {
+    throw loaderError('integrity must be an SRI string (sha256-<base64>) or a hex SHA-256 digest', 'SCRIPT_SOURCE_INVALID');
+  }
+  if (/^[a-f0-9]{64}$/i.test(integrity.trim())) {
+    return [{ algorithm: 'sha256', hash: Buffer.from(integrity.trim(), 'hex').toString('base64') }];
+  }
+  return integrity.trim().split(/\s+/).map(token => {
+    const match = /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})$/.exec(token);
+    if (!match) {
+      throw loaderError(`Unsupported integrity value "${token}". Use ${INTEGRITY_ALGORITHMS.map(algorithm => `${algorithm}-<base64>`).join(', ')} or a hex SHA-256 digest`, 'SCRIPT_SOURCE_INVALID');
+    }
+    return { algorithm: match[1], hash: match[2] };
+  });
+}
+
+/**
+ * Whether content matches any of the expected hashes
+ */
+function matchesIntegrity(content, expected) {
+  return expected.some(({ algorithm, hash }) => digest(algorithm, content) === hash);
+}
+
+function digest(algorithm, content) {
+  return crypto.createHash(algorithm).update(content, 'utf8').digest('base64');
+}
+
+/**
+ * Read a response stream, failing once it exceeds maxSize bytes
+ */
+async function readBody(stream, maxSize, target) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxSize) {
+      stream.destroy();
+      throw loaderError(`Script at ${target} is larger than ${maxSize} bytes`, 'SCRIPT_TOO_LARGE');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * URL without its query string, which may carry tokens
+ */
+function describeUrl(url) {
+  return `${url.origin}${url.pathname}`;
+}
+
+/**
+ * Turn an S3 error response (XML body with <Code> and <Message>) into a clear error
+ */
+function s3Error(response, { bucket, key, versionId, target }) {
+  const xml = response.body.toString('utf8');
+  const code = (/<Code>([^<]*)<\/Code>/.exec(xml) || [])[1] || null;
+  const message = (/<Message>([^<]*)<\/Message>/.exec(xml) || [])[1] || null;
+
+  switch (code) {
+    case 'NoSuchBucket':
+      return loaderError(`S3 bucket '${bucket}' does not exist`, 'SCRIPT_NOT_FOUND');
+    case 'NoSuchKey':
+      return loaderError(`S3 object s3://${bucket}/${key} not found`, 'SCRIPT_NOT_FOUND');
+    case 'NoSuchVersion':
+      return loaderError(`Version ${versionId} of s3://${bucket}/${key} not found`, 'SCRIPT_NOT_FOUND');
+    case 'AccessDenied':
+      return loaderError(`Access denied to ${target} (check the S3 credentials and bucket policy)`, 'SCRIPT_FETCH_FAILED');
+    default:
+      return loaderError(
+        `Failed to fetch script from ${target}: HTTP ${response.status}${code ? ` ${code}` : ''}${message ? ` - ${message}` : ''}`,
+        'SCRIPT_FETCH_FAILED'
+      );
+  }
+}
+
+function loaderError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 module.exports = ScriptLoader;
@@ -0,0 +1,239 @@
+/**
+ * Script manifests - metadata declared by a script in a leading block comment:
+ *
+ *   /* @manifest
+ *   {
+ *     "name": "jamf-device-fetcher",
+ *     "version": "1.0.0",
+ *     "description": "Fetch all devices from Jamf",
+ *     "credentials": { "type": "object", "required": ["subdomain"], "properties": { ... } },
+ *     "parameters": { "type": "object", "properties": { ... } }
+ *   }
+ *   *\/
+ *
+ * The manifest is read from the source text, so it can be checked without executing the script.
+ * "credentials" and "parameters" use a JSON Schema subset (see validateSchema).
+ */
+
+const MANIFEST_PATTERN = /\/\*\*?\s*@manifest\b([\s\S]*?)\*\//;
+
+const SCHEMA_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+/**
+ * Extract the manifest from script source
+ * @returns {object|null} The manifest, or null when the script declares none
+ * @throws {Error} with code MANIFEST_INVALID when the manifest is malformed
+ */
+function parseManifest(code) {
+  const match = typeof code === 'string' ? code.match(MANIFEST_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+
+  // Allow JSDoc-style " * " line prefixes inside the comment
+  const json = match[1].split('\n').map(line => line.replace(/^\s*\*(?!\/) ?/, '')).join('\n');
+  let manifest;
+  try {
+    manifest = JSON.parse(json);
+  } catch (error) {
+    throw manifestError(`Script manifest is not valid JSON: ${error.message}`, [
+      { field: 'manifest', message: 'is not valid JSON' }
+    ]);
+  }
+
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) {
+    throw manifestError(`Invalid script manifest: ${formatErrors(errors)}`, errors);
+  }
+  return manifest;
+}
+
+/**
+ * Check the manifest's own fields
+ * @returns {Array<{field: string, message: string}>}
+ */
+function validateManifest(manifest) {
+  if (!isPlainObject(manifest)) {
+    return [{ field: 'manifest', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  ['name', 'version'].forEach(key => {
+    if (typeof manifest[key] !== 'string' || manifest[key].trim() === '') {
+      errors.push({ field: `manifest.${key}`, message: 'is required and must be a string' });
+    }
+  });
+  if (manifest.description !== undefined && typeof manifest.description !== 'string') {
+    errors.push({ field: 'manifest.description', message: 'must be a string' });
+  }
+  ['credentials', 'parameters'].forEach(key => {
+    if (manifest[key] === undefined) {
+      return;
+    }
+    if (!isPlainObject(manifest[key])) {
+      errors.push({ field: `manifest.${key}`, message: 'must be a JSON schema object' });
+    } else if (manifest[key].type !== undefined && manifest[key].type !== 'object') {
+      errors.push({ field: `manifest.${key}.type`, message: 'must be "object"' });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate credentials against the manifest's credential schema
+ * @throws {Error} with code VALIDATION_FAILED and field-level `errors`
+ */
+function validateCredentials(manifest, credentials) {
+  validateAgainst(manifest && manifest.credentials, credentials, 'credentials');
+}
+
+/**
+ * Fill in declared parameter defaults, then validate against the manifest's parameter schema
+ * @returns {object} Params with defaults applied
+ * @throws {Error} with code VALIDATION_FAILED and field-level `errors`
+ */
+function validateParams(manifest, params = {}) {
+  const schema = manifest && manifest.parameters;
+  if (!schema || !isPlainObject(params)) {
+    validateAgainst(schema, params, 'params');
+    return params;
+  }
+
+  const withDefaults = { ...params };
+  const properties = schema.properties || {};
+  Object.keys(properties).forEach(key => {
+    if (withDefaults[key] === undefined && properties[key].default !== undefined) {
+      withDefaults[key] = properties[key].default;
+    }
+  });
+  validateAgainst(schema, withDefaults, 'params');
+  return withDefaults;
+}
+
+function validateAgainst(schema, value, label) {
+  if (!schema) {
+    return;
+  }
+  const errors = validateSchema(value, { type: 'object', ...schema }, label);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid ${label}: ${formatErrors(errors)}`);
+    error.code = 'VALIDATION_FAILED';
+    error.errors = errors;
+    throw error;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema subset: type, properties, required,
+ * additionalProperties, items, enum, minLength/maxLength, pattern, minimum/maximum, minItems/maxItems.
+ * Messages never include the value itself, since it may be a secret.
+ * @param {string} path - Field path used in error entries
+ * @returns {Array<{field: string, message: string}>}
+ */
+function validateSchema(value, schema, path) {
+  const errors = [];
+  const fail = (message) => errors.push({ field: path, message });
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.map(type => (type === 'integer' ? 'an integer' : `a ${type}`)).join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (isPlainObject(schema.items)) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    const missing = (schema.required || []).filter(key => value[key] === undefined || value[key] === null || value[key] === '');
+    missing.forEach(key => errors.push({ field: `${path}.${key}`, message: 'is required' }));
+
+    Object.keys(value).forEach(key => {
+      const fieldPath = `${path}.${key}`;
+      if (missing.includes(key) || value[key] === undefined) {
+        return;
+      }
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], fieldPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: fieldPath, message: 'is not allowed' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, fieldPath));
+      }
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: throw new Error(`Unsupported schema type "${type}". Use ${SCHEMA_TYPES.join(', ')}`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatErrors(errors) {
+  return errors.map(error => `${error.field} ${error.message}`).join('; ');
+}
+
+function manifestError(message, errors) {
+  const error = new Error(message);
+  error.code = 'MANIFEST_INVALID';
+  error.errors = errors;
+  return error;
+}
+
+module.exports = {
+  parseManifest,
+  validateManifest,
+  validateCredentials,
+  validateParams,
+  validateSchema,
+};
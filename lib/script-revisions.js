@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+// Plain file names only: no separators, so names can never leave the store directories
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,99}\.js$/;
+const DEFAULT_MAX_SIZE = 1024 * 1024; // 1 MB
+const TAG_PATTERN = /^[a-zA-Z][a-zA-Z0-9._-]{0,63}$/;
+
+/**
+ * Script Revisions - versioning rules shared by ScriptStore (files) and ScriptDatabase (adapters)
+ *
+ * Both keep one index per script: { name, latest, tags: { tag: revision }, revisions: [...] }.
+ * The functions here decide what an upload, lookup or rollback does to that index;
+ * the stores only read it and persist the changes.
+ */
+
+/**
+ * Check a script name, tag and size before anything is stored
+ * @param {object} meta - { tag }
+ * @throws {Error} SCRIPT_INVALID, SCRIPT_TOO_LARGE
+ */
+function validateUpload(name, content, meta, maxSize) {
+  validateName(name);
+  if (meta.tag !== undefined) {
+    validateTag(meta.tag);
+  }
+  if (Buffer.byteLength(content) > maxSize) {
+    throw storeError(`Script exceeds the ${maxSize} byte size limit`, 'SCRIPT_TOO_LARGE');
+  }
+}
+
+/**
+ * Record an upload in the index: a new revision (or the existing one with the same content)
+ * becomes latest, and the tag, when given, moves to it
+ * @param {object} meta - { author, notes, tag }
+ * @returns {{revision: object, created: boolean}} created is false when the content was stored before
+ */
+function addRevision(index, content, meta = {}) {
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+  let revision = index.revisions.find(entry => entry.sha256 === sha256);
+  const created = !revision;
+
+  if (created) {
+    revision = {
+      version: index.revisions.length + 1,
+      revision: sha256.slice(0, 12),
+      sha256,
+      size: Buffer.byteLength(content),
+      author: meta.author || 'anonymous',
+      notes: meta.notes || '',
+      createdAt: new Date().toISOString(),
+    };
+    index.revisions.push(revision);
+  }
+
+  if (meta.tag) {
+    index.tags[meta.tag] = revision.revision;
+  }
+  setLatest(index, revision.revision);
+  return { revision, created };
+}
+
+/**
+ * Version history of a script, newest first
+ * @returns {{name: string, latest: string, tags: object, revisions: object[]}}
+ * @throws {Error} SCRIPT_NOT_FOUND when nothing was ever stored
+ */
+function versionHistory(index, name) {
+  if (index.revisions.length === 0) {
+    throw storeError(`Script '${name}' has no stored versions`, 'SCRIPT_NOT_FOUND');
+  }
+  return {
+    name,
+    latest: index.latest,
+    tags: index.tags,
+    revisions: index.revisions.slice().reverse(),
+  };
+}
+
+/**
+ * The revision a lookup refers to: the pinned one, else the latest (null when there is none)
+ * @param {object} ref - { version } number, revision id or tag; or { tag }
+ * @throws {Error} VERSION_NOT_FOUND when a pinned version does not exist
+ */
+function pinnedRevision(index, name, ref = {}) {
+  const pinned = refValue(ref);
+  if (pinned === undefined || pinned === null) {
+    return index.latest ? findRevision(index, index.latest) : null;
+  }
+  const revision = findRevision(index, pinned);
+  if (!revision) {
+    throw storeError(`Version '${pinned}' of script '${name}' not found`, 'VERSION_NOT_FOUND');
+  }
+  return revision;
+}
+
+/**
+ * Point `latest` at an earlier revision
+ * @param {object} ref - { version } or { tag }
+ * @returns {object} The revision that is now latest
+ * @throws {Error} VERSION_NOT_FOUND
+ */
+function rollbackRevision(index, name, ref = {}) {
+  const target = refValue(ref);
+  const revision = target === undefined || target === null ? null : findRevision(index, target);
+  if (!revision) {
+    throw storeError(`Version '${target}' of script '${name}' not found`, 'VERSION_NOT_FOUND');
+  }
+  setLatest(index, revision.revision);
+  return revision;
+}
+
+/**
+ * Move (or, with null, clear) the `latest` pointer
+ */
+function setLatest(index, revision) {
+  index.latest = revision;
+  index.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Find a revision by version number, tag ("latest" included), revision id or full hash
+ */
+function findRevision(index, ref) {
+  const value = String(ref);
+  if (value === 'latest') {
+    return index.latest ? findRevision(index, index.latest) : null;
+  }
+  // Revision ids are 12 hex characters, so shorter digit strings are version numbers
+  if (/^\d{1,11}$/.test(value)) {
+    return index.revisions.find(entry => entry.version === Number(value)) || null;
+  }
+  if (index.tags[value]) {
+    return index.revisions.find(entry => entry.revision === index.tags[value]) || null;
+  }
+  return index.revisions.find(entry => entry.revision === value || entry.sha256 === value) || null;
+}
+
+function refValue(ref) {
+  return ref.version !== undefined && ref.version !== null ? ref.version : ref.tag;
+}
+
+function validateName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw storeError('Script name must be a .js file name: letters, digits, ".", "_" or "-"', 'SCRIPT_INVALID');
+  }
+}
+
+function validateTag(tag) {
+  if (typeof tag !== 'string' || !TAG_PATTERN.test(tag) || tag === 'latest') {
+    throw storeError('Tag must start with a letter and contain only letters, digits, ".", "_" or "-" ("latest" is reserved)', 'SCRIPT_INVALID');
+  }
+}
+
+function storeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  NAME_PATTERN,
+  DEFAULT_MAX_SIZE,
+  validateUpload,
+  addRevision,
+  versionHistory,
+  pinnedRevision,
+  rollbackRevision,
+  setLatest,
+  findRevision,
+  validateName,
+  storeError,
+};
@@ -0,0 +1,234 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  NAME_PATTERN, DEFAULT_MAX_SIZE, validateUpload, addRevision, versionHistory, pinnedRevision, rollbackRevision,
+  setLatest, validateName, storeError,
+} = require('./script-revisions');
+
+/**
+ * Script Store - immutable, content-hashed revisions of uploaded scripts
+ *
+ * Revisions live in <dataDir>/<name>/revisions/<sha256>.js and are never modified;
+ * <dataDir>/<name>/index.json records their metadata, tags and the `latest` pointer
+ * (versioning rules in script-revisions).
+ * The latest revision is also checked out to <scriptsDir>/<name> so file-based
+ * callers (CLI, script listing) keep seeing the current code.
+ *
+ * All API access to script files goes through this class: names are validated,
+ * resolved paths must stay inside the store directories, and symlinks are refused.
+ */
+class ScriptStore {
+  constructor(options = {}) {
+    this.scriptsDir = options.scriptsDir || './scripts';
+    this.dataDir = options.dataDir || process.env.SCRIPT_STORE_DIR || './data/scripts';
+    // Largest accepted script in bytes
+    this.maxSize = options.maxSize || parseInt(process.env.MAX_SCRIPT_SIZE, 10) || DEFAULT_MAX_SIZE;
+    // Serializes read-modify-write updates of the index files
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Store a new revision and make it the latest
+   * Uploading content identical to an existing revision moves `latest` back to it
+   * @param {object} meta - { author, notes, tag }
+   * @returns {Promise<{revision: object, created: boolean}>}
+   */
+  async save(name, content, meta = {}) {
+    validateUpload(name, content, meta, this.maxSize);
+
+    return this.withWriteLock(async () => {
+      const index = await this.readIndex(name);
+      const { revision, created } = addRevision(index, content, meta);
+      if (created) {
+        const revisionPath = this.revisionPath(name, revision.sha256);
+        await fs.mkdir(path.dirname(revisionPath), { recursive: true });
+        await writeAtomic(revisionPath, content, 0o444);
+      }
+
+      await this.writeIndex(name, index);
+      await this.checkout(name, revision);
+      return { revision, created };
+    });
+  }
+
+  /**
+   * List the scripts currently checked out (regular .js files with valid names; symlinks are skipped)
+   * @returns {Promise<Array<{name: string, path: string, source: string, size: number, modified: string}>>}
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.scriptsDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const names = files.filter(file => file.isFile() && NAME_PATTERN.test(file.name)).map(file => file.name);
+    return Promise.all(names.sort().map(async (name) => {
+      const { path: filePath, stats } = await safeFile(this.scriptsDir, name);
+      return { name, path: filePath, source: filePath, size: stats.size, modified: stats.mtime.toISOString() };
+    }));
+  }
+
+  /**
+   * Read a script's content (latest checkout, or a pinned version)
+   * @param {object} ref - { version } or { tag }, see resolve
+   * @returns {Promise<{name: string, path: string, content: string, size: number, modified: string, revision: object|null}>}
+   */
+  async read(name, ref = {}) {
+    const { stats, ...resolved } = await this.resolve(name, ref);
+    const content = await fs.readFile(resolved.path, 'utf8');
+    return {
+      ...resolved,
+      content,
+      size: stats.size,
+      modified: stats.mtime.toISOString(),
+    };
+  }
+
+  /**
+   * Version history of a script, newest first
+   * @returns {Promise<{name: string, latest: string, tags: object, revisions: object[]}>}
+   */
+  async versions(name) {
+    validateName(name);
+    return versionHistory(await this.readIndex(name), name);
+  }
+
+  /**
+   * Resolve a script name (optionally pinned to a version or tag) to a runnable file
+   * Scripts that were never uploaded resolve to their plain file in the scripts directory
+   * @param {object} ref - { version } number, revision id or tag; or { tag }
+   * @returns {Promise<{name: string, path: string, source: string, stats: fs.Stats, revision: object|null}>}
+   *   source is what ScriptRunner.run takes (here the file path)
+   * @throws {Error} SCRIPT_NOT_FOUND, VERSION_NOT_FOUND, or SCRIPT_INVALID for bad names and symlinks
+   */
+  async resolve(name, ref = {}) {
+    validateName(name);
+    const revision = pinnedRevision(await this.readIndex(name), name, ref);
+    const file = revision
+      ? await safeFile(this.dataDir, name, 'revisions', `${revision.sha256}.js`)
+      : await safeFile(this.scriptsDir, name);
+    return { name, path: file.path, source: file.path, stats: file.stats, revision };
+  }
+
+  /**
+   * Move the `latest` pointer to an earlier revision
+   * @param {object} ref - { version } or { tag }
+   * @returns {Promise<object>} The revision that is now latest
+   */
+  async rollback(name, ref = {}) {
+    validateName(name);
+    return this.withWriteLock(async () => {
+      const index = await this.readIndex(name);
+      const revision = rollbackRevision(index, name, ref);
+      await this.writeIndex(name, index);
+      await this.checkout(name, revision);
+      return revision;
+    });
+  }
+
+  /**
+   * Remove a script's checkout and clear its `latest` pointer; stored revisions are kept
+   * @returns {Promise<boolean>} false when there was nothing to delete
+   */
+  async delete(name) {
+    validateName(name);
+    return this.withWriteLock(async () => {
+      let removed = false;
+      try {
+        await fs.unlink(path.join(this.scriptsDir, name));
+        removed = true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const index = await this.readIndex(name);
+      if (index.latest) {
+        setLatest(index, null);
+        await this.writeIndex(name, index);
+        removed = true;
+      }
+      return removed;
+    });
+  }
+
+  /**
+   * Run an update after any in-flight update has finished
+   */
+  withWriteLock(update) {
+    const result = this.writeQueue.then(update);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async checkout(name, revision) {
+    const file = await safeFile(this.dataDir, name, 'revisions', `${revision.sha256}.js`);
+    const content = await fs.readFile(file.path);
+    await fs.mkdir(this.scriptsDir, { recursive: true });
+    await writeAtomic(path.join(this.scriptsDir, name), content);
+  }
+
+  revisionPath(name, sha256) {
+    return path.join(this.dataDir, name, 'revisions', `${sha256}.js`);
+  }
+
+  async readIndex(name) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dataDir, name, 'index.json'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read version index for ${name}: ${error.message}`);
+      }
+      return { name, latest: null, tags: {}, revisions: [] };
+    }
+  }
+
+  async writeIndex(name, index) {
+    await fs.mkdir(path.join(this.dataDir, name), { recursive: true });
+    await writeAtomic(path.join(this.dataDir, name, 'index.json'), JSON.stringify(index, null, 2));
+  }
+}
+
+/**
+ * Resolve a file inside a base directory, refusing anything that escapes it or is not a regular file
+ * @returns {Promise<{path: string, stats: fs.Stats}>}
+ */
+async function safeFile(baseDir, ...segments) {
+  const base = path.resolve(baseDir);
+  const target = path.resolve(base, ...segments);
+  if (!target.startsWith(base + path.sep)) {
+    throw storeError('Script path escapes the script directory', 'SCRIPT_INVALID');
+  }
+
+  let stats;
+  try {
+    // lstat so a symlink is seen as a link rather than as the file it points to
+    stats = await fs.lstat(target);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw storeError(`Script '${segments[0]}' not found`, 'SCRIPT_NOT_FOUND');
+    }
+    throw error;
+  }
+  if (stats.isSymbolicLink()) {
+    throw storeError(`Script '${segments[0]}' is a symbolic link`, 'SCRIPT_INVALID');
+  }
+  if (!stats.isFile()) {
+    throw storeError(`Script '${segments[0]}' is not a regular file`, 'SCRIPT_INVALID');
+  }
+  // Report the path as configured (usually relative) rather than the absolute location
+  return { path: path.join(baseDir, ...segments), stats };
+}
+
+/**
+ * Write to a temp file and rename so readers never see a half-written file
+ */
+async function writeAtomic(filePath, content, mode) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, content, mode ? { mode } : undefined);
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = ScriptStore;
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * SQLite Script Adapter - default storage for ScriptDatabase (better-sqlite3, WAL mode)
+ *
+ *   scripts          (name PK, latest revision id, updated_at)
+ *   script_revisions (name, version, revision, sha256, size, author, notes, code, created_at)
+ *   script_tags      (name, tag, revision)
+ *
+ * See ScriptDatabase for the adapter interface other databases implement.
+ */
+class SqliteScriptAdapter {
+  /**
+   * @param {object} options - { path } database file (default SCRIPT_DATABASE_FILE or ./data/scripts.db)
+   */
+  constructor(options = {}) {
+    this.path = options.path || process.env.SCRIPT_DATABASE_FILE || './data/scripts.db';
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS scripts (
+        name TEXT PRIMARY KEY,
+        latest TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS script_revisions (
+        name TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        revision TEXT NOT NULL,
+        sha256 TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        author TEXT,
+        notes TEXT,
+        code TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (name, version),
+        UNIQUE (name, sha256)
+      );
+      CREATE TABLE IF NOT EXISTS script_tags (
+        name TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        revision TEXT NOT NULL,
+        PRIMARY KEY (name, tag)
+      );
+    `);
+  }
+
+  async readIndex(name) {
+    const script = this.db.prepare('SELECT latest, updated_at FROM scripts WHERE name = ?').get(name);
+    const revisions = this.db.prepare(`SELECT version, revision, sha256, size, author, notes, created_at AS createdAt
+      FROM script_revisions WHERE name = ? ORDER BY version`).all(name);
+    const tags = {};
+    this.db.prepare('SELECT tag, revision FROM script_tags WHERE name = ? ORDER BY tag').all(name)
+      .forEach(({ tag, revision }) => { tags[tag] = revision; });
+    return {
+      name,
+      latest: script ? script.latest : null,
+      tags,
+      revisions,
+      updatedAt: script ? script.updated_at : undefined
+    };
+  }
+
+  async listScripts() {
+    return this.db.prepare(`SELECT s.name, s.updated_at AS updatedAt, r.size
+      FROM scripts s JOIN script_revisions r ON r.name = s.name AND r.revision = s.latest
+      WHERE s.latest IS NOT NULL ORDER BY s.name`).all();
+  }
+
+  async readCode(name, sha256) {
+    const row = this.db.prepare('SELECT code FROM script_revisions WHERE name = ? AND sha256 = ?').get(name, sha256);
+    return row ? row.code : null;
+  }
+
+  async insertRevision(name, revision, code) {
+    this.db.prepare(`INSERT INTO script_revisions (name, version, revision, sha256, size, author, notes, code, created_at)
+      VALUES (@name, @version, @revision, @sha256, @size, @author, @notes, @code, @createdAt)`)
+      .run({ ...revision, name, code });
+  }
+
+  async setLatest(name, revision) {
+    this.db.prepare(`INSERT INTO scripts (name, latest, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET latest = excluded.latest, updated_at = excluded.updated_at`)
+      .run(name, revision, new Date().toISOString());
+  }
+
+  async setTag(name, tag, revision) {
+    this.db.prepare(`INSERT INTO script_tags (name, tag, revision) VALUES (?, ?, ?)
+      ON CONFLICT(name, tag) DO UPDATE SET revision = excluded.revision`)
+      .run(name, tag, revision);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteScriptAdapter;
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * SQLite Sink - upserts result records into a local SQLite table keyed by a record field
+ *
+ * The table is created on first use as
+ *   (key TEXT PRIMARY KEY, data TEXT (record JSON), execution_id TEXT, updated_at TEXT)
+ * so repeated pulls update rows in place; query fields with json_extract(data, '$.name').
+ * Records without a key value are skipped and counted.
+ */
+class SqliteSink {
+  /**
+   * @param {object} options - { table, key } field path such as "id" or "general.id",
+   *   { path } resolved database file
+   * @param {object} context - { executionId }
+   */
+  constructor(options, context = {}) {
+    this.type = 'sqlite';
+    this.table = options.table;
+    this.key = options.key;
+    this.path = options.path;
+    this.executionId = context.executionId || null;
+    this.db = null;
+    this.records = 0;
+    this.skipped = 0;
+  }
+
+  /**
+   * Upsert a batch of records in one transaction
+   */
+  async write(records) {
+    if (!this.db) {
+      this.open();
+    }
+    const updatedAt = new Date().toISOString();
+    this.upsertBatch(records.map(record => ({ key: keyOf(record, this.key), record, updatedAt })));
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    // The table name is validated as a plain identifier, so it is safe to quote into SQL
+    this.db.exec(`CREATE TABLE IF NOT EXISTS "${this.table}" (
+      key TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      execution_id TEXT,
+      updated_at TEXT NOT NULL
+    )`);
+    const upsert = this.db.prepare(`INSERT INTO "${this.table}" (key, data, execution_id, updated_at)
+      VALUES (@key, @data, @executionId, @updatedAt)
+      ON CONFLICT(key) DO UPDATE SET data = excluded.data, execution_id = excluded.execution_id, updated_at = excluded.updated_at`);
+    this.upsertBatch = this.db.transaction((rows) => {
+      rows.forEach(({ key, record, updatedAt }) => {
+        if (key === undefined || key === null || key === '') {
+          this.skipped++;
+          return;
+        }
+        upsert.run({ key: String(key), data: JSON.stringify(record), executionId: this.executionId, updatedAt });
+        this.records++;
+      });
+    });
+  }
+
+  /**
+   * @returns {Promise<object>} Delivery summary
+   */
+  async close() {
+    if (!this.db) {
+      this.open();
+    }
+    this.db.close();
+    this.db = null;
+    if (this.skipped > 0) {
+      console.warn(`⚠️  [${this.executionId}] ${this.skipped} records without a '${this.key}' value were not stored in ${this.table}`);
+    }
+    return { type: this.type, target: `${this.path}#${this.table}`, key: this.key, records: this.records, skipped: this.skipped };
+  }
+
+  async abort() {
+    // Batches already committed stay; each batch is its own transaction
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Read a dotted field path ("general.id") from a record
+ */
+function keyOf(record, key) {
+  return String(key).split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), record);
+}
+
+module.exports = SqliteSink;
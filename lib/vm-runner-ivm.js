@@ -1,99 +1,271 @@
 const ivm = require('isolated-vm');
+const fs = require('fs');
 const ScriptLoader = require('./script-loader');
-const { httpGet, httpPost, base64Encode, sleep, logger } = require('./helpers');
+const ScriptCache = require('./script-cache');
+const ExecutionLog = require('./execution-log');
+const Redactor = require('./redactor');
+const EgressPolicy = require('./egress-policy');
+const RateLimiter = require('./rate-limiter');
+const createPaginate = require('./paginate');
+const { parseManifest, validateCredentials, validateParams } = require('./script-manifest');
+const { createSinks, deliverResult, writeToSinks, closeSinks, abortSinks } = require('./result-sinks');
+const { httpRequest, base64Encode, sleep } = require('./helpers');
+const { describeRepo } = require('./git-cache');
+
+const SANDBOX_LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+// Records emit() buffers inside the isolate before copying them out
+const EMIT_BATCH_SIZE = 500;
 
 /**
  * VM Runner for executing user scripts in isolated environment (using isolated-vm)
  */
 class VMRunnerIvm {
   constructor(options = {}) {
-    this.scriptLoader = new ScriptLoader();
+    // Loader options such as the URL download cache and integrity policy (see ScriptLoader)
+    this.scriptLoader = new ScriptLoader(options.scriptLoader);
+    // Loaded code and V8 code cache shared by all executions: { maxEntries } (see ScriptCache)
+    this.scriptCache = new ScriptCache(options.scriptCache);
     // Configurable timeout (default 5 minutes for long-running operations)
     this.executionTimeout = options.executionTimeout || 300000; // 5 minutes
     this.memoryLimit = options.memoryLimit || 128; // MB
+    // Default egress policy for sandbox HTTP helpers (blocks private networks unless configured otherwise)
+    this.egressPolicy = EgressPolicy.from(options.egress);
+    // Default retry/rate-limit settings for sandbox HTTP helpers: { retry, rateLimit }
+    this.httpDefaults = options.httpDefaults || {};
+    // Per-host token buckets shared by all executions of this runner
+    this.rateLimiter = new RateLimiter();
   }
 
   /**
    * Run user script in isolated-vm with provided credentials (JSON object)
+   * @param {object} options - { signal } AbortSignal that cancels the run,
+   *   { log } ExecutionLog that captures logger output and helper HTTP calls,
+   *   { egress } EgressPolicy (or options) overriding the runner default for this script,
+   *   { httpDefaults } retry/rateLimit defaults for this run (e.g. per credential set),
+   *   { params } run-time parameters passed to run(credentials, params),
+   *   { sinks } result sink definitions (webhook secrets already resolved, see result-sinks),
+   *   { onRecords } async function receiving each batch of records the script emits
    */
-  async runScript(scriptPath, credentials) {
-    // Generate unique execution ID for parallel safety
-    const executionId = Math.random().toString(36).substr(2, 9);
+  async runScript(scriptPath, credentials, options = {}) {
+    // Unique execution ID for parallel safety, shared with the caller through the log
+    const log = options.log || new ExecutionLog();
+    const executionId = log.executionId;
+    // Mask this run's credential values (and tokens derived from them) in everything that leaves the runner
+    const redactor = log.redactor || new Redactor();
+    redactor.addCredentials(credentials);
+    log.redactor = redactor;
+    log.start();
     
-    console.log(`🚀 [${executionId}] Starting ivm execution for script: ${scriptPath}`);
+    console.log(`🚀 [${executionId}] Starting ivm execution for script: ${typeof scriptPath === 'string' ? scriptPath : this.getSourceDescription(scriptPath)}`);
     console.log(`📋 [${executionId}] Credentials provided: ${Object.keys(credentials).join(', ')}`);
     console.log(`⏱️  [${executionId}] Execution timeout: ${this.executionTimeout}ms`);
 
+    if (options.signal && options.signal.aborted) {
+      const error = createAbortError('cancelled', executionId);
+      log.finish('cancelled', { error: error.message });
+      throw error;
+    }
+
+    const egress = options.egress ? EgressPolicy.from(options.egress) : this.egressPolicy;
+
+    // Load the script and check credentials, params and sinks before any isolate exists
+    let script;
+    let params;
+    let sinks;
+    try {
+      script = await this.readScript(scriptPath, executionId, typeof log.metadata.script === 'string' ? log.metadata.script : null);
+      // Where the code came from (ETag, object version, content hash) for the execution record
+      log.metadata.source = script.provenance;
+      const manifest = parseManifest(script.code);
+      validateCredentials(manifest, credentials);
+      params = validateParams(manifest, options.params || {});
+      sinks = createSinks(options.sinks, {
+        executionId,
+        script: log.metadata.script || null,
+        log,
+        egress,
+        redactor,
+        signal: options.signal
+      });
+    } catch (error) {
+      redactor.redactError(error);
+      log.finish('failed', { error: error.message });
+      throw error;
+    }
+
     // Create isolate and context with configurable memory limit
     const isolate = new ivm.Isolate({ memoryLimit: this.memoryLimit });
-    const context = isolate.createContextSync();
-    const jail = context.global;
 
-    // Set global object (like the official example)
-    jail.setSync('global', jail.derefInto());
+    // Internal controller fired by caller cancellation or by the wall-clock deadline
+    const controller = new AbortController();
+    const abort = (reason) => {
+      if (controller.signal.aborted) return;
+      console.warn(`🛑 [${executionId}] Aborting execution: ${reason.message}`);
+      controller.abort(reason);
+      // Disposing the isolate stops any synchronous work and rejects pending calls into it
+      disposeIsolate(isolate);
+    };
+    const onCallerAbort = () => abort(createAbortError('cancelled', executionId));
+    if (options.signal) {
+      options.signal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+    // Wall-clock deadline covering async work (HTTP calls, sleeps), not only CPU time
+    const deadline = setTimeout(
+      () => abort(createAbortError('timeout', executionId, this.executionTimeout)),
+      this.executionTimeout
+    );
 
-    // Inject helpers into the context with execution ID (using async version to avoid deadlocks)
-    await this.injectHelpers(jail, context, executionId);
+    // Records streamed with emit()/emitBatch() go to the sinks and onRecords batch by batch, in order
+    const sinkFailures = new Map();
+    let emitQueue = Promise.resolve();
+    const emitRecords = (records) => {
+      emitQueue = emitQueue.then(async () => {
+        if (sinks.length === 0 && !options.onRecords) {
+          const error = new Error('Script emitted records but nothing receives them: add a result sink, or run synchronously with NDJSON or CSV output');
+          error.code = 'EMIT_UNDELIVERABLE';
+          throw error;
+        }
+        log.emitted += records.length;
+        await writeToSinks(sinks, records, sinkFailures);
+        if (options.onRecords) {
+          await options.onRecords(records);
+        }
+      });
+      // Records nobody can take (no receiver, or onRecords refused them) end the run instead of being dropped
+      emitQueue.catch(abort);
+      return emitQueue;
+    };
 
-    // Load and execute user script
-    await this.loadScript(scriptPath, isolate, context, executionId);
+    const execution = (async () => {
+      const context = await isolate.createContext();
+      const jail = context.global;
+
+      // Set global object (like the official example)
+      jail.setSync('global', jail.derefInto());
+
+      // Inject helpers into the context with execution ID (using async version to avoid deadlocks)
+      const httpDefaults = { ...this.httpDefaults, ...options.httpDefaults };
+      await this.injectHelpers(jail, context, log, controller.signal, egress, httpDefaults, redactor, emitRecords);
+
+      // Compile and execute user script
+      this.compileScript(script, isolate, context, executionId);
+
+      // Execute the run function with credentials and params
+      const result = await this.executeRunFunction(context, credentials, params, executionId);
+
+      // Send what emit() still buffers and wait until every batch has been handled
+      await context.eval('_flushEmitted()', { promise: true });
+      await emitQueue;
+      return result;
+    })();
 
-    // Execute the run function with credentials
-    return await this.executeRunFunction(context, credentials, executionId);
+    try {
+      // The result is masked like log lines and errors before it is delivered, stored or returned
+      const result = redactor.redact(await raceAbort(execution, controller.signal));
+      if (sinks.length > 0) {
+        // Once a script streams records, they are the output and the return value is only a summary
+        log.deliveries = log.emitted > 0
+          ? await closeSinks(sinks, executionId, sinkFailures)
+          : await deliverResult(sinks, result, executionId);
+      }
+      log.finish('succeeded', { result });
+      return result;
+    } catch (error) {
+      await abortSinks(sinks);
+      if (error.deliveries) {
+        log.deliveries = error.deliveries;
+      }
+      redactor.redactError(error);
+      log.finish(error.code === 'EXECUTION_CANCELLED' ? 'cancelled' : 'failed', { error: error.message });
+      throw error;
+    } finally {
+      clearTimeout(deadline);
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onCallerAbort);
+      }
+      // Aborted runs can leave the inner promise pending or rejecting late
+      execution.catch(() => {});
+      disposeIsolate(isolate);
+    }
   }
 
   /**
    * Inject helpers into the ivm context's global object (async version to avoid deadlocks)
    */
-  async injectHelpers(jail, context, executionId = 'unknown') {
-    // Create References using imported helper functions directly
-    jail.setSync('_httpGet', new ivm.Reference(httpGet));
-    jail.setSync('_httpPost', new ivm.Reference(httpPost));
-    jail.setSync('_base64Encode', new ivm.Reference(base64Encode));
-    jail.setSync('_sleep', new ivm.Reference(sleep));
-
-    // Create logger References using imported logger functions with execution ID
-    jail.setSync('_logInfo', new ivm.Reference((...args) => {
-      // Modify the logger output to include execution ID
-      const originalLog = console.log;
-      console.log = (...logArgs) => originalLog(`[sandbox-${executionId}]`, ...logArgs);
-      logger.info(...args);
-      console.log = originalLog; // Restore original
-    }));
-    jail.setSync('_logError', new ivm.Reference((...args) => {
-      const originalError = console.error;
-      console.error = (...logArgs) => originalError(`[sandbox-${executionId}]`, ...logArgs);
-      logger.error(...args);
-      console.error = originalError;
+  async injectHelpers(jail, context, log, signal = undefined, egress = this.egressPolicy, httpDefaults = this.httpDefaults, redactor = log.redactor, emitRecords = async () => {}) {
+    // Create References bound to this execution's log, abort signal, egress policy, HTTP defaults and redactor
+    const helperContext = { signal, log, egress, httpDefaults, rateLimiter: this.rateLimiter, redactor };
+    // Errors lose their properties crossing the isolate boundary, so HTTP outcomes are returned
+    // as { ok, response } / { ok: false, error } envelopes and rethrown inside the sandbox
+    jail.setSync('_httpRequest', new ivm.Reference(async (request) => {
+      try {
+        return { ok: true, response: await httpRequest(request, helperContext) };
+      } catch (error) {
+        return { ok: false, error: serializeHttpError(error) };
+      }
     }));
-    jail.setSync('_logWarn', new ivm.Reference((...args) => {
-      const originalWarn = console.warn;
-      console.warn = (...logArgs) => originalWarn(`[sandbox-${executionId}]`, ...logArgs);
-      logger.warn(...args);
-      console.warn = originalWarn;
+    jail.setSync('_base64Encode', new ivm.Reference(base64Encode));
+    jail.setSync('_sleep', new ivm.Reference(bridgeAsync((ms) => sleep(ms, signal))));
+
+    // Single logger bridge recording structured entries into this execution's log
+    jail.setSync('_log', new ivm.Reference((level, ...args) => {
+      log.record(SANDBOX_LOG_LEVELS.includes(level) ? level : 'info', args);
     }));
-    jail.setSync('_logDebug', new ivm.Reference((...args) => {
-      const originalLog = console.log;
-      console.log = (...logArgs) => originalLog(`[sandbox-${executionId}]`, ...logArgs);
-      logger.debug(...args);
-      console.log = originalLog;
+    jail.setSync('_reportProgress', new ivm.Reference((details) => {
+      log.progress(details);
     }));
+    jail.setSync('_emitRecords', new ivm.Reference(bridgeAsync(emitRecords)));
 
     // Create wrapper functions and logger object using async eval to avoid deadlocks
     await context.eval(`
-      // Create wrapper functions for HTTP and utility functions
+      // Errors thrown by HTTP helpers, carrying status, statusText, headers and data when the server responded
+      class HttpError extends Error {
+        constructor(details) {
+          super(details.message);
+          this.name = 'HttpError';
+          Object.assign(this, details);
+        }
+      }
+      globalThis.HttpError = HttpError;
+
+      // General request bridge returning { status, statusText, headers, data }
+      globalThis.http = {
+        request: async function(request) {
+          const outcome = await _httpRequest.apply(null, [request], { 
+            arguments: { copy: true }, 
+            result: { copy: true, promise: true } 
+          });
+          if (!outcome.ok) {
+            throw new HttpError(outcome.error);
+          }
+          return outcome.response;
+        }
+      };
+
+      // Create shorthand wrapper functions for HTTP methods
       globalThis.httpGet = async function(url, opts) {
-        return await _httpGet.apply(null, [url, opts], { 
-          arguments: { copy: true }, 
-          result: { copy: true, promise: true } 
-        });
+        return (await http.request({ ...opts, method: 'GET', url })).data;
       };
       
-      globalThis.httpPost = async function(url, body, opts) {
-        return await _httpPost.apply(null, [url, body, opts], { 
-          arguments: { copy: true }, 
-          result: { copy: true, promise: true } 
-        });
+      globalThis.httpPost = async function(url, body = {}, opts) {
+        return (await http.request({ ...opts, method: 'POST', url, body })).data;
+      };
+
+      globalThis.httpPut = async function(url, body = {}, opts) {
+        return (await http.request({ ...opts, method: 'PUT', url, body })).data;
+      };
+
+      globalThis.httpPatch = async function(url, body = {}, opts) {
+        return (await http.request({ ...opts, method: 'PATCH', url, body })).data;
+      };
+
+      globalThis.httpDelete = async function(url, opts) {
+        return (await http.request({ ...opts, method: 'DELETE', url })).data;
+      };
+
+      globalThis.httpHead = async function(url, opts) {
+        const { status, statusText, headers } = await http.request({ ...opts, method: 'HEAD', url });
+        return { status, statusText, headers };
       };
       
       globalThis.base64Encode = function(str) {
@@ -110,42 +282,104 @@ class VMRunnerIvm {
         });
       };
 
-      // Create logger object using imported logger functions
+      // Report progress (pages fetched, items so far, ...) to live log streams
+      globalThis.reportProgress = function(details) {
+        _reportProgress.apply(null, [details], { arguments: { copy: true } });
+      };
+
+      // Stream result records out of the isolate in batches instead of returning one large array
+      const _emitBuffer = [];
+      globalThis._flushEmitted = async function() {
+        if (_emitBuffer.length === 0) {
+          return;
+        }
+        await _emitRecords.apply(null, [_emitBuffer.splice(0)], {
+          arguments: { copy: true },
+          result: { promise: true }
+        });
+      };
+
+      globalThis.emitBatch = async function(records) {
+        if (!Array.isArray(records)) {
+          throw new TypeError('emitBatch() expects an array of records');
+        }
+        for (const record of records) {
+          _emitBuffer.push(record);
+        }
+        if (_emitBuffer.length >= ${EMIT_BATCH_SIZE}) {
+          await _flushEmitted();
+        }
+      };
+
+      globalThis.emit = async function(record) {
+        await emitBatch([record]);
+      };
+
+      // Create logger object backed by the execution log
       globalThis.logger = {
         info: function(...args) { 
-          _logInfo.apply(null, args, { arguments: { copy: true } }); 
+          _log.apply(null, ['info', ...args], { arguments: { copy: true } }); 
         },
         error: function(...args) { 
-          _logError.apply(null, args, { arguments: { copy: true } }); 
+          _log.apply(null, ['error', ...args], { arguments: { copy: true } }); 
         },
         warn: function(...args) { 
-          _logWarn.apply(null, args, { arguments: { copy: true } }); 
+          _log.apply(null, ['warn', ...args], { arguments: { copy: true } }); 
         },
         debug: function(...args) { 
-          _logDebug.apply(null, args, { arguments: { copy: true } }); 
+          _log.apply(null, ['debug', ...args], { arguments: { copy: true } }); 
         }
       };
+
+      // Pagination helper built on http.request (page, offset, cursor and Link styles)
+      globalThis.paginate = (${createPaginate.toString()})(http.request, reportProgress);
     `);
   }
 
 
   /**
-   * Load and compile user script from various sources
+   * Load user script source from various sources, or from the script cache when it cannot have changed
+   * @param {string|null} scriptName - Name the script runs under, for cache invalidation on upload/delete
+   * @returns {Promise<{code: string, provenance: object, cachedData: object|null}>} A script cache entry
    */
-  async loadScript(scriptSource, isolate, context, executionId = 'unknown') {
-    let userCode;
+  async readScript(scriptSource, executionId = 'unknown', scriptName = null) {
     try {
+      const cached = await this.scriptCache.lookup(scriptSource);
+      if (cached) {
+        console.log(`📄 [${executionId}] Loaded user script from cache: ${this.getSourceDescription(scriptSource)} (sha256 ${cached.sha256.slice(0, 12)})`);
+        return cached;
+      }
+
+      // Stats taken before reading, so a file written meanwhile is not mistaken for the cached copy
+      const file = typeof scriptSource === 'string' ? await fileStamp(scriptSource) : null;
       // Read script content using script loader
-      userCode = await this.scriptLoader.loadScript(scriptSource);
-      console.log(`📄 [${executionId}] Loaded user script from: ${this.getSourceDescription(scriptSource)}`);
+      const loaded = await this.scriptLoader.load(scriptSource);
+      const { versionId, etag, commit } = loaded.provenance;
+      const details = [versionId && `version ${versionId}`, etag && `ETag ${etag}`, commit && `commit ${commit.slice(0, 12)}`]
+        .filter(Boolean).join(', ');
+      console.log(`📄 [${executionId}] Loaded user script from: ${this.getSourceDescription(scriptSource)}${details ? ` (${details})` : ''}`);
+      return this.scriptCache.store(scriptSource, loaded, { scriptName, file });
     } catch (error) {
-      throw new Error(`Failed to load user script: ${error.message}`);
+      const wrapped = new Error(`Failed to load user script: ${error.message}`);
+      wrapped.code = error.code;
+      throw wrapped;
     }
+  }
 
+  /**
+   * Compile user script and run its top level in the context
+   * Reuses the cache entry's V8 code cache, or produces one for the next isolate
+   */
+  compileScript(entry, isolate, context, executionId = 'unknown') {
     try {
+      const usedCache = Boolean(entry.cachedData);
       // Use sync methods like the official example
-      const script = isolate.compileScriptSync(userCode);
-      script.runSync(context);
+      const script = isolate.compileScriptSync(entry.code, usedCache
+        ? { cachedData: entry.cachedData }
+        : { produceCachedData: this.scriptCache.maxEntries > 0 });
+      const rejected = usedCache && Boolean(script.cachedDataRejected);
+      this.scriptCache.recordCompile(entry, { usedCache, rejected, cachedData: usedCache ? null : script.cachedData });
+      script.runSync(context, { timeout: this.executionTimeout });
       console.log(`✅ [${executionId}] User script compiled and executed successfully`);
     } catch (error) {
       throw new Error(`Failed to compile/run user script: ${error.message}`);
@@ -156,22 +390,29 @@ class VMRunnerIvm {
     if (typeof scriptSource === 'string') {
       return `file: ${scriptSource}`;
     }
+    if (!scriptSource || typeof scriptSource !== 'object') {
+      return String(scriptSource);
+    }
     if (scriptSource.type === 's3') {
       return `S3: s3://${scriptSource.bucket}/${scriptSource.key}`;
     }
     if (scriptSource.type === 'database') {
-      return `database: ${scriptSource.scriptId}`;
+      return `database: ${scriptSource.scriptId}${scriptSource.version !== undefined ? ` (version ${scriptSource.version})` : ''}`;
+    }
+    if (scriptSource.type === 'git') {
+      return `git: ${describeRepo(String(scriptSource.repo))} ${scriptSource.path}@${scriptSource.ref || 'HEAD'}`;
     }
     if (scriptSource.type === 'url') {
-      return `URL: ${scriptSource.url}`;
+      // Query strings may carry tokens
+      return `URL: ${String(scriptSource.url).split('?')[0]}`;
     }
     return JSON.stringify(scriptSource);
   }
 
   /**
-   * Execute the run function from user script with credentials
+   * Execute the run function from user script with credentials and params
    */
-  async executeRunFunction(context, credentials, executionId = 'unknown') {
+  async executeRunFunction(context, credentials, params = {}, executionId = 'unknown') {
     try {
       console.log(`🎯 [${executionId}] Calling user script's run function with credentials...`);
       
@@ -187,8 +428,9 @@ class VMRunnerIvm {
       
       // Create a serializable copy of credentials to ensure they can be transferred
       const credentialsCopy = JSON.parse(JSON.stringify(credentials));
+      const paramsCopy = JSON.parse(JSON.stringify(params));
       
-      const result = await runRef.apply(undefined, [credentialsCopy], {
+      const result = await runRef.apply(undefined, [credentialsCopy, paramsCopy], {
         timeout: this.executionTimeout, // Use configurable timeout
         arguments: { copy: true },
         result: { copy: true, promise: true }
@@ -203,4 +445,71 @@ class VMRunnerIvm {
 
 }
 
+/**
+ * Create the error thrown when an execution is cancelled or times out
+ */
+function createAbortError(kind, executionId, timeout) {
+  const message = kind === 'timeout'
+    ? `Execution ${executionId} timed out after ${timeout}ms`
+    : `Execution ${executionId} was cancelled`;
+  const error = new Error(message);
+  error.code = kind === 'timeout' ? 'EXECUTION_TIMEOUT' : 'EXECUTION_CANCELLED';
+  return error;
+}
+
+/**
+ * Reject as soon as the signal aborts, otherwise settle with the promise
+ */
+function raceAbort(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Copyable representation of an HTTP helper error
+ */
+function serializeHttpError(error) {
+  return {
+    message: error.message,
+    code: error.code,
+    status: error.status,
+    statusText: error.statusText,
+    headers: error.headers,
+    data: error.data,
+  };
+}
+
+/**
+ * Wrap an async host function exposed to the isolate
+ * isolated-vm subscribes to the returned promise asynchronously, so a promise that rejects
+ * immediately would be reported as an unhandled rejection and crash the process
+ */
+function bridgeAsync(fn) {
+  return (...args) => {
+    const promise = fn(...args);
+    promise.catch(() => {});
+    return promise;
+  };
+}
+
+/**
+ * Size and mtime of a script file, or null when it cannot be read
+ */
+async function fileStamp(filePath) {
+  const stats = await fs.promises.stat(filePath).catch(() => null);
+  return stats ? { path: filePath, size: stats.size, mtimeMs: stats.mtimeMs } : null;
+}
+
+/**
+ * Dispose an isolate if it is still alive
+ */
+function disposeIsolate(isolate) {
+  if (!isolate.isDisposed) {
+    isolate.dispose();
+  }
+}
+
 module.exports = VMRunnerIvm;
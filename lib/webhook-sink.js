@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { httpRequest } = require('./helpers');
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Webhook Sink - POSTs result records to a URL in JSON batches
+ *
+ * Each request body is { executionId, script, batch, final, records }; the last request has
+ * final: true (and may carry no records) so receivers know the delivery is complete.
+ * With a secret, requests carry
+ *   X-Script-Runner-Timestamp: <unix seconds>
+ *   X-Script-Runner-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ * Requests go through the execution's egress policy and are retried on 429/5xx.
+ */
+class WebhookSink {
+  /**
+   * @param {object} options - { url, secret, batchSize, timeout }
+   * @param {object} context - { executionId, script, log, egress, redactor, signal }
+   */
+  constructor(options, context = {}) {
+    this.type = 'webhook';
+    this.url = options.url;
+    this.secret = options.secret || null;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.timeout = options.timeout || 30000;
+    this.context = context;
+    this.pending = [];
+    this.batches = 0;
+    this.records = 0;
+    if (this.secret && context.redactor) {
+      context.redactor.addSecret(this.secret);
+    }
+  }
+
+  /**
+   * Buffer records and send every full batch
+   */
+  async write(records) {
+    this.pending.push(...records);
+    while (this.pending.length >= this.batchSize) {
+      await this.send(this.pending.splice(0, this.batchSize), false);
+    }
+  }
+
+  /**
+   * Send the remaining records as the final batch
+   * @returns {Promise<object>} Delivery summary
+   */
+  async close() {
+    await this.send(this.pending.splice(0), true);
+    return { type: this.type, target: describeUrl(this.url), records: this.records, batches: this.batches };
+  }
+
+  async abort() {
+    this.pending = [];
+  }
+
+  async send(records, final) {
+    const { executionId = null, script = null } = this.context;
+    const body = JSON.stringify({ executionId, script, batch: this.batches + 1, final, records });
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Script-Runner-Execution': executionId || '',
+    };
+    if (this.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['X-Script-Runner-Timestamp'] = timestamp;
+      headers['X-Script-Runner-Signature'] = `sha256=${sign(this.secret, timestamp, body)}`;
+    }
+
+    await httpRequest({
+      method: 'POST',
+      url: this.url,
+      headers,
+      body,
+      timeout: this.timeout,
+      responseType: 'text',
+      // Batches carry executionId + batch, so receivers can deduplicate a retried POST
+      retry: { methods: ['POST'] },
+    }, this.context);
+    this.batches++;
+    this.records += records.length;
+  }
+}
+
+/**
+ * HMAC-SHA256 signature of a webhook body, as sent in X-Script-Runner-Signature
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * URL without query string or credentials, safe to report
+ */
+function describeUrl(url) {
+  const parsed = new URL(url);
+  return `${parsed.origin}${parsed.pathname}`;
+}
+
+module.exports = WebhookSink;
+module.exports.sign = sign;
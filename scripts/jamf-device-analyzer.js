@@ -3,7 +3,32 @@
  * Analyzes device data and provides insights
  */
 
-async function run(subdomain, username, password) {
+/* @manifest
+{
+  "name": "jamf-device-analyzer",
+  "version": "1.1.0",
+  "description": "Analyze Jamf devices by management state, OS version, model and last check-in",
+  "credentials": {
+    "type": "object",
+    "required": ["subdomain", "username", "password"],
+    "properties": {
+      "subdomain": { "type": "string", "pattern": "^[a-zA-Z0-9-]+$", "description": "Jamf subdomain (e.g. \"company\")" },
+      "username": { "type": "string", "description": "Jamf username" },
+      "password": { "type": "string", "description": "Jamf password" }
+    }
+  },
+  "parameters": {
+    "type": "object",
+    "properties": {
+      "staleDays": { "type": "integer", "minimum": 1, "default": 30, "description": "Devices not checked in for this many days are reported as stale" }
+    },
+    "additionalProperties": false
+  }
+}
+*/
+
+async function run(credentials, params) {
+  const { subdomain, username, password } = credentials;
   logger.info("🔍 Starting Jamf device analysis");
   logger.info(`Subdomain: ${subdomain}, Username: ${username}`);
 
@@ -15,7 +40,7 @@ async function run(subdomain, username, password) {
     const devices = await fetchAllDevices(subdomain, token);
     
     // Analyze devices
-    const analysis = analyzeDevices(devices);
+    const analysis = analyzeDevices(devices, params.staleDays);
     
     logger.info("📊 Analysis complete");
     return {
@@ -37,7 +62,7 @@ async function run(subdomain, username, password) {
 /**
  * Analyze device data and provide insights
  */
-function analyzeDevices(devices) {
+function analyzeDevices(devices, staleDays) {
   const totalDevices = devices.length;
   const managedDevices = devices.filter(d => d.general?.managed).length;
   const enrolledDevices = devices.filter(d => d.general?.enrolled).length;
@@ -74,6 +99,15 @@ function analyzeDevices(devices) {
     else if (daysDiff <= 30) checkInRanges['Last 30 days']++;
     else checkInRanges['Older than 30 days']++;
   });
+
+  // Devices that have not checked in within the staleDays window
+  const staleDevices = devices
+    .filter(device => (now - new Date(device.general?.lastContactTime)) / (1000 * 60 * 60 * 24) > staleDays)
+    .map(device => ({
+      id: device.id,
+      name: device.general?.name,
+      lastContactTime: device.general?.lastContactTime
+    }));
   
   return {
     summary: {
@@ -85,7 +119,9 @@ function analyzeDevices(devices) {
     },
     osVersions,
     models,
-    checkInRanges
+    checkInRanges,
+    staleDays,
+    staleDevices
   };
 }
 
@@ -115,29 +151,20 @@ async function getJamfToken(subdomain, username, password) {
  * Fetch all devices with pagination support
  */
 async function fetchAllDevices(subdomain, token) {
-  let allDevices = [];
-  let page = 0;
-  const pageSize = 100;
-  let hasMorePages = true;
-
-  while (hasMorePages) {
-    const url = `https://${subdomain}.jamfcloud.com/api/v1/computers-inventory?page=${page}&page-size=${pageSize}&sort=id`;
-    
-    const response = await httpGet(url, {
+  return await paginate(`https://${subdomain}.jamfcloud.com/api/v1/computers-inventory?sort=id`, {
+    style: 'page',
+    pageParam: 'page',
+    pageSizeParam: 'page-size',
+    pageSize: 100,
+    itemsPath: 'results',
+    totalPath: 'totalCount',
+    request: {
       headers: {
         "Authorization": `Bearer ${token}`,
         "Accept": "application/json"
-      }
-    });
-
-    allDevices.push(...response.results);
-    hasMorePages = allDevices.length < (response.totalCount || 0);
-    page++;
-
-    if (hasMorePages) {
-      await sleep(100);
+      },
+      retry: true,
+      rateLimit: { requestsPerSecond: 10 }
     }
-  }
-
-  return allDevices;
+  });
 }
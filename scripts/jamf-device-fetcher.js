@@ -1,22 +1,34 @@
 /**
  * Jamf Device Fetcher Script
- * Fetches all devices from Jamf with pagination support
- * 
- * Required credentials:
- * - subdomain: Jamf subdomain (e.g., "company")
- * - username: Jamf username
- * - password: Jamf password
+ * Fetches all devices from Jamf with pagination support and emits them page by page
  */
 
-async function run(credentials) {
-  // Validate required credentials
-  const requiredKeys = ['subdomain', 'username', 'password'];
-  const missingKeys = requiredKeys.filter(key => !credentials[key]);
-  
-  if (missingKeys.length > 0) {
-    throw new Error(`Missing required credentials: ${missingKeys.join(', ')}`);
+/* @manifest
+{
+  "name": "jamf-device-fetcher",
+  "version": "1.2.0",
+  "description": "Fetch all devices from Jamf with pagination support, emitted as records",
+  "credentials": {
+    "type": "object",
+    "required": ["subdomain", "username", "password"],
+    "properties": {
+      "subdomain": { "type": "string", "pattern": "^[a-zA-Z0-9-]+$", "description": "Jamf subdomain (e.g. \"company\")" },
+      "username": { "type": "string", "description": "Jamf username" },
+      "password": { "type": "string", "description": "Jamf password" }
+    }
+  },
+  "parameters": {
+    "type": "object",
+    "properties": {
+      "pageSize": { "type": "integer", "minimum": 1, "maximum": 2000, "default": 100, "description": "Devices per API page" }
+    },
+    "additionalProperties": false
   }
+}
+*/
 
+async function run(credentials, params) {
+  // Credentials are validated against the manifest before the script runs
   const { subdomain, username, password } = credentials;
   
   logger.info("🚀 Starting Jamf device fetch process");
@@ -28,25 +40,25 @@ async function run(credentials) {
     const token = await getJamfToken(subdomain, username, password);
     logger.info("✅ Token generated successfully");
 
-    // Step 2: Fetch all devices with pagination
+    // Step 2: Fetch all devices with pagination, emitting each page as it arrives
     logger.info("📱 Fetching devices from Jamf...");
-    const devices = await fetchAllDevices(subdomain, token);
-    logger.info(`✅ Successfully fetched ${devices.length} devices`);
+    const counts = await emitAllDevices(subdomain, token, params.pageSize);
+    logger.info(`✅ Successfully fetched ${counts.total} devices`);
 
-    // Step 3: Return raw device data for main logic to use
     logger.info("📊 Device summary:");
-    logger.info(`- Total devices: ${devices.length}`);
-    logger.info(`- Managed devices: ${devices.filter(d => d.general?.managed).length}`);
-    logger.info(`- Enrolled devices: ${devices.filter(d => d.general?.enrolled).length}`);
+    logger.info(`- Total devices: ${counts.total}`);
+    logger.info(`- Managed devices: ${counts.managed}`);
+    logger.info(`- Enrolled devices: ${counts.enrolled}`);
 
-    // Return generic data structure
+    // The raw device data went out as emitted records; the result is only a summary
     return {
       success: true,
-      data: devices, // Raw device data from Jamf API
       timestamp: new Date().toISOString(),
       metadata: {
         subdomain,
-        totalDevices: devices.length,
+        totalDevices: counts.total,
+        managedDevices: counts.managed,
+        enrolledDevices: counts.enrolled,
         fetchedAt: new Date().toISOString(),
         apiEndpoint: `https://${subdomain}.jamfcloud.com/api/v1/computers-inventory`
       }
@@ -85,47 +97,42 @@ async function getJamfToken(subdomain, username, password) {
 }
 
 /**
- * Fetch all devices with pagination support
+ * Fetch all devices with pagination support and emit them one page at a time
+ * @returns {Promise<object>} { total, managed, enrolled } device counts
  */
-async function fetchAllDevices(subdomain, token) {
-  let allDevices = [];
-  let page = 0;
-  const pageSize = 100;
-  let totalCount = 0;
-  let hasMorePages = true;
-
+async function emitAllDevices(subdomain, token, pageSize) {
   logger.info("📄 Starting paginated device fetch...");
 
-  while (hasMorePages) {
-    const url = `https://${subdomain}.jamfcloud.com/api/v1/computers-inventory?page=${page}&page-size=${pageSize}&sort=id`;
-    
-    logger.debug(`Fetching page ${page + 1} (${pageSize} devices per page)`);
-    
-    const response = await httpGet(url, {
+  const counts = { total: 0, managed: 0, enrolled: 0 };
+  const pages = paginate.batches(`https://${subdomain}.jamfcloud.com/api/v1/computers-inventory?sort=id`, {
+    style: 'page',
+    pageParam: 'page',
+    pageSizeParam: 'page-size',
+    pageSize,
+    itemsPath: 'results',
+    totalPath: 'totalCount',
+    request: {
       headers: {
         "Authorization": `Bearer ${token}`,
         "Accept": "application/json"
-      }
-    });
-
-    if (!response.results || !Array.isArray(response.results)) {
-      throw new Error("Invalid response format from Jamf API");
+      },
+      // Back off on 429/5xx and keep under Jamf's API rate limit
+      retry: true,
+      rateLimit: { requestsPerSecond: 10 }
+    },
+    onPage: (results, { page, fetched, total }) => {
+      logger.debug(`Page ${page}: ${results.length} devices fetched`);
+      logger.debug(`Total so far: ${fetched}/${total}`);
     }
+  });
 
-    allDevices.push(...response.results);
-    totalCount = response.totalCount || 0;
-    
-    logger.debug(`Page ${page + 1}: ${response.results.length} devices fetched`);
-    logger.debug(`Total so far: ${allDevices.length}/${totalCount}`);
-
-    hasMorePages = allDevices.length < totalCount;
-    page++;
-
-    if (hasMorePages) {
-      await sleep(100);
-    }
+  for await (const devices of pages) {
+    await emitBatch(devices);
+    counts.total += devices.length;
+    counts.managed += devices.filter(d => d.general?.managed).length;
+    counts.enrolled += devices.filter(d => d.general?.enrolled).length;
   }
 
-  logger.info(`📊 Pagination complete: ${allDevices.length} devices across ${page} pages`);
-  return allDevices;
+  logger.info(`📊 Pagination complete: ${counts.total} devices`);
+  return counts;
 }
@@ -5,30 +5,49 @@ const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const ScriptRunner = require('./index');
+const JobQueue = require('./lib/job-queue');
+const ExecutionLog = require('./lib/execution-log');
+const ExecutionRegistry = require('./lib/execution-registry');
+const ExecutionHistory = require('./lib/execution-history');
+const ScriptLoader = require('./lib/script-loader');
+const ScriptStore = require('./lib/script-store');
+const ScriptDatabase = require('./lib/script-database');
+const Scheduler = require('./lib/scheduler');
+const { validateParams } = require('./lib/script-manifest');
+const { validateSinks, resultRecords } = require('./lib/result-sinks');
+const { formatRecords, createEncoder, validateFormat, parseColumns, CONTENT_TYPES, FORMATS } = require('./lib/output-format');
+const Authenticator = require('./lib/auth');
+const AuditLog = require('./lib/audit-log');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Cross-origin access only for explicitly listed origins (CORS_ORIGINS=https://a.example,https://b.example)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Configure multer for file uploads to scripts folder
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, './scripts/');
-  },
-  filename: function (req, file, cb) {
-    // Keep original filename or use custom name from request
-    const filename = req.body.filename || file.originalname;
-    cb(null, filename);
-  }
-});
+// Versioned script revisions, as files (the latest revision is checked out to ./scripts)
+// or in the script database with SCRIPT_STORAGE=database.
+// Every API read, write, delete and execute of a script goes through the store
+const scriptDatabase = process.env.SCRIPT_STORAGE === 'database' ? new ScriptDatabase() : null;
+const scriptStore = scriptDatabase || new ScriptStore();
+
+// Most emitted records a JSON or XLSX response holds in memory; larger outputs need NDJSON, CSV or a sink
+const emitResponseLimit = parseInt(process.env.EMIT_RESPONSE_LIMIT, 10) || 1000;
+
+// Raw scriptPath values from API clients are refused unless an admin enables them
+const allowScriptPaths = process.env.ALLOW_SCRIPT_PATHS === 'true';
 
+// Uploads are kept in memory and stored as versioned revisions by the script store
 const upload = multer({ 
-  storage: storage,
+  storage: multer.memoryStorage(),
+  limits: { fileSize: scriptStore.maxSize, files: 1 },
   fileFilter: function (req, file, cb) {
     // Only allow .js files
     if (path.extname(file.originalname) === '.js') {
@@ -39,8 +58,316 @@ const upload = multer({
   }
 });
 
+// Egress policy for sandbox HTTP helpers: { "default": {...}, "scripts": { "<name>.js": {...} } }
+const egressConfig = loadEgressConfig(process.env.EGRESS_CONFIG);
+
 // Initialize script runner
-const scriptRunner = new ScriptRunner();
+const scriptRunner = new ScriptRunner({ egress: egressConfig.default, scriptLoader: { database: scriptDatabase } });
+
+// Initialize job queue for asynchronous executions
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2
+});
+
+// Track execution logs so clients can stream them while scripts run
+const executionRegistry = new ExecutionRegistry();
+
+// Persisted record of every finished run
+const executionHistory = new ExecutionHistory();
+
+// Reads script manifests for the script listing
+const scriptLoader = new ScriptLoader({ database: scriptDatabase });
+
+// API keys / JWTs with roles, and the audit trail of authenticated requests
+const authenticator = new Authenticator();
+const auditLog = new AuditLog();
+
+// Cron schedules; triggered runs are queued like async API executions
+const scheduler = new Scheduler({ trigger: runScheduledScript });
+
+/**
+ * Load the egress policy configuration file (JSON), if one is configured
+ */
+function loadEgressConfig(configPath) {
+  if (!configPath) {
+    return { default: {}, scripts: {} };
+  }
+
+  const config = JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
+  console.log(`🛡️  Loaded egress policy from ${configPath}`);
+  return {
+    default: config.default || {},
+    scripts: config.scripts || {}
+  };
+}
+
+/**
+ * Egress policy override for a script, if one is configured
+ */
+function egressPolicyFor(scriptPath) {
+  return egressConfig.scripts[path.basename(scriptPath)];
+}
+
+/**
+ * Answer 403 when the caller's key or token is not scoped to the script
+ * @returns {boolean} true when the request was rejected
+ */
+function rejectOutOfScope(req, res, scriptName) {
+  if (authenticator.canAccessScript(req.principal, scriptName)) {
+    return false;
+  }
+  req.audit = { ...req.audit, denied: 'script out of scope' };
+  res.status(403).json({
+    success: false,
+    error: `Forbidden: not allowed to access script '${scriptName}'`
+  });
+  return true;
+}
+
+/**
+ * Whether the caller may see a job (its script must be in scope)
+ */
+function canAccessJob(req, job) {
+  const script = job.metadata.script;
+  return authenticator.canAccessScript(req.principal, script ? script.name : path.basename(job.metadata.scriptPath));
+}
+
+/**
+ * Map script store errors to HTTP responses
+ */
+function sendStoreError(res, error, fallbackMessage) {
+  const statusByCode = {
+    SCRIPT_NOT_FOUND: 404,
+    VERSION_NOT_FOUND: 404,
+    SCRIPT_INVALID: 400,
+    SCRIPT_TOO_LARGE: 413
+  };
+
+  res.status(statusByCode[error.code] || 500).json({
+    success: false,
+    error: statusByCode[error.code] ? error.message : fallbackMessage,
+    message: error.message
+  });
+}
+
+/**
+ * Map scheduler errors to HTTP responses
+ */
+function sendScheduleError(res, error, fallbackMessage) {
+  const statusByCode = {
+    SCHEDULE_NOT_FOUND: 404,
+    SCHEDULE_EXISTS: 409,
+    SCHEDULE_INVALID: 400
+  };
+
+  res.status(statusByCode[error.code] || 500).json({
+    success: false,
+    error: statusByCode[error.code] ? error.message : fallbackMessage,
+    message: error.message
+  });
+}
+
+/**
+ * Check result sink definitions and that their webhook secretRefs exist
+ * @returns {Promise<Array|null>} The sink list, or null when a response was already sent
+ */
+async function checkSinks(res, sinks, options = {}) {
+  let list;
+  try {
+    list = validateSinks(sinks, options);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+    return null;
+  }
+
+  for (const sink of list.filter(sink => sink.secretRef)) {
+    try {
+      await scriptRunner.vault.get(sink.secretRef);
+    } catch (error) {
+      sendVaultError(res, error, 'Failed to read webhook secret');
+      return null;
+    }
+  }
+  return list;
+}
+
+/**
+ * Pick the result format from ?format= or the Accept header (JSON when either allows it)
+ * @returns {string|null} The format, or null when a response was already sent
+ */
+function negotiateFormat(req, res) {
+  if (req.query.format) {
+    try {
+      return validateFormat(req.query.format);
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  const contentTypes = FORMATS.map(format => CONTENT_TYPES[format].split(';')[0]);
+  const accepted = req.accepts(contentTypes);
+  if (!accepted) {
+    res.status(406).json({
+      success: false,
+      error: 'Not Acceptable',
+      message: `Results are available as ${contentTypes.join(', ')}`
+    });
+    return null;
+  }
+  return FORMATS[contentTypes.indexOf(accepted)];
+}
+
+/**
+ * Send a result's records as an NDJSON, CSV or XLSX download
+ * @param {object} options - { columns, script, executionId }
+ */
+function sendRecords(res, result, format, options) {
+  const { body } = formatRecords(resultRecords(result), format, {
+    columns: options.columns,
+    sheetName: options.script
+  });
+  setDownloadHeaders(res, format, options);
+  res.send(body);
+}
+
+function setDownloadHeaders(res, format, options) {
+  const baseName = path.basename(options.script, path.extname(options.script));
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${baseName}-${options.executionId}.${format}"`,
+    'X-Execution-Id': options.executionId
+  });
+}
+
+/**
+ * Receiver for records a synchronous run emits: NDJSON and CSV are written to the response
+ * as chunks while the script runs; JSON and XLSX collect up to emitResponseLimit records until
+ * the run ends (JSON skips records that go to sinks) and fail the run beyond that
+ * @param {object} options - { columns, script, executionId, sinks } (sinks: the run delivers to sinks)
+ */
+function createRecordResponse(res, format, options) {
+  const encoder = format === 'ndjson' || format === 'csv' ? createEncoder(format, { columns: options.columns }) : null;
+  const collect = !encoder && !(format === 'json' && options.sinks);
+  const collected = [];
+  return {
+    collected: collect ? collected : null,
+    async write(records) {
+      if (!encoder) {
+        if (!collect) {
+          return;
+        }
+        if (collected.length + records.length > emitResponseLimit) {
+          const error = new Error(`Script emitted more than ${emitResponseLimit} records, too many for a ${format.toUpperCase()} response: request NDJSON or CSV, or add a result sink`);
+          error.code = 'EMIT_LIMIT_EXCEEDED';
+          throw error;
+        }
+        records.forEach(record => collected.push(record));
+        return;
+      }
+      if (!res.headersSent) {
+        setDownloadHeaders(res, format, options);
+      }
+      if (!res.write(encoder.write(records))) {
+        await waitForDrain(res);
+      }
+    },
+    end() {
+      res.end(encoder.end());
+    }
+  };
+}
+
+/**
+ * Wait until a response can take more data (or the client went away)
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Start a scheduled run: resolve the script's latest revision and queue it on the job queue,
+ * so it goes through ScriptRunner.run like any API execution
+ * @returns {Promise<{executionId: string, done: Promise<{status: string, error: string|null}>}>}
+ */
+async function runScheduledScript(schedule, context) {
+  const log = new ExecutionLog();
+  const { scriptName, credentialRef, params, sinks } = schedule;
+  const done = new Promise(resolve => log.once('finish', () => resolve({ status: log.status, error: log.error })));
+  Object.assign(log.metadata, {
+    script: scriptName,
+    trigger: 'schedule',
+    triggeredBy: `schedule:${schedule.name}`,
+    scheduledAt: context.scheduledAt.toISOString()
+  });
+  executionHistory.track(log, { credentialRef, params });
+  executionRegistry.register(log);
+
+  let resolved;
+  try {
+    resolved = await scriptStore.resolve(scriptName);
+  } catch (error) {
+    // Recorded in the execution history like any other failed run
+    log.finish('failed', { error: error.message });
+    return { executionId: log.executionId, done };
+  }
+
+  const scriptInfo = {
+    name: scriptName,
+    version: resolved.revision ? resolved.revision.version : null,
+    revision: resolved.revision ? resolved.revision.revision : null
+  };
+  Object.assign(log.metadata, { version: scriptInfo.version, revision: scriptInfo.revision });
+
+  jobQueue.enqueue(
+    (job) => {
+      job.log = log;
+      return scriptRunner.run(resolved.source, undefined, {
+        log,
+        credentialRef: credentialRef || undefined,
+        params,
+        sinks,
+        egress: egressPolicyFor(scriptName),
+        signal: job.controller.signal
+      });
+    },
+    { scriptPath: resolved.source, script: scriptInfo, credentialRef, params, schedule: schedule.name },
+    { id: log.executionId }
+  );
+  return { executionId: log.executionId, done };
+}
+
+/**
+ * Map credential vault errors to HTTP responses
+ */
+function sendVaultError(res, error, fallbackMessage) {
+  const statusByCode = {
+    CREDENTIAL_NOT_FOUND: 404,
+    CREDENTIAL_EXISTS: 409,
+    CREDENTIAL_INVALID: 400,
+    VAULT_LOCKED: 503
+  };
+
+  res.status(statusByCode[error.code] || 500).json({
+    success: false,
+    error: statusByCode[error.code] ? error.message : fallbackMessage,
+    message: error.message
+  });
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -51,22 +378,26 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Everything below requires authentication and is audited
+app.use(auditLog.middleware());
+app.use(authenticator.middleware());
+
 // Get list of available scripts
-app.get('/scripts', async (req, res) => {
+app.get('/scripts', authenticator.authorize('read'), async (req, res) => {
   try {
-    const files = await fs.readdir('./scripts');
-    const jsFiles = files.filter(file => path.extname(file) === '.js');
+    const files = (await scriptStore.list()).filter(file => authenticator.canAccessScript(req.principal, file.name));
     
     const scripts = await Promise.all(
-      jsFiles.map(async (file) => {
-        const filePath = path.join('./scripts', file);
-        const stats = await fs.stat(filePath);
-        return {
-          name: file,
-          path: `./scripts/${file}`,
-          size: stats.size,
-          modified: stats.mtime.toISOString()
-        };
+      files.map(async (file) => {
+        const script = { ...file, manifest: null };
+
+        // A broken manifest should not hide the script from the listing
+        try {
+          script.manifest = await scriptLoader.loadManifest(file.source);
+        } catch (error) {
+          script.manifestErrors = error.errors || [{ field: 'manifest', message: error.message }];
+        }
+        return script;
       })
     );
     
@@ -85,7 +416,7 @@ app.get('/scripts', async (req, res) => {
 });
 
 // Upload script endpoint
-app.post('/scripts/upload', upload.single('script'), async (req, res) => {
+app.post('/scripts/upload', authenticator.authorize('upload'), upload.single('script'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -94,47 +425,186 @@ app.post('/scripts/upload', upload.single('script'), async (req, res) => {
       });
     }
 
+    // Keep original filename or use custom name from request
+    const name = req.body.filename || req.file.originalname;
+    req.audit = { script: name };
+    if (rejectOutOfScope(req, res, name)) {
+      return;
+    }
+
+    const { revision, created, source } = await scriptStore.save(name, req.file.buffer, {
+      // Authenticated uploads are attributed to the caller
+      author: req.principal.type === 'none' ? req.body.author : req.principal.id,
+      notes: req.body.notes,
+      tag: req.body.tag
+    });
+
+    req.audit.revision = revision.revision;
+    scriptRunner.invalidateScript(name);
     const scriptInfo = {
-      name: req.file.filename,
+      name: name,
       originalName: req.file.originalname,
-      path: `./scripts/${req.file.filename}`,
+      // Database storage has no file; its source is what executions load
+      ...(source ? { source } : { path: `./scripts/${name}` }),
       size: req.file.size,
-      uploadedAt: new Date().toISOString()
+      uploadedAt: revision.createdAt,
+      ...revision
     };
 
-    res.json({
+    res.status(created ? 201 : 200).json({
       success: true,
-      message: 'Script uploaded successfully',
+      message: created ? 'Script uploaded successfully' : 'Script unchanged, latest now points to the existing revision',
       script: scriptInfo
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to upload script',
-      message: error.message
+    sendStoreError(res, error, 'Failed to upload script');
+  }
+});
+
+// List stored versions of a script
+app.get('/scripts/:scriptName/versions', authenticator.authorize('read'), async (req, res) => {
+  try {
+    if (rejectOutOfScope(req, res, req.params.scriptName)) {
+      return;
+    }
+
+    const history = await scriptStore.versions(req.params.scriptName);
+    res.json({
+      success: true,
+      ...history,
+      count: history.revisions.length
+    });
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to list script versions');
+  }
+});
+
+// Move the latest pointer of a script to an earlier version or tag
+app.post('/scripts/:scriptName/rollback', authenticator.authorize('upload'), async (req, res) => {
+  try {
+    req.audit = { script: req.params.scriptName };
+    if (rejectOutOfScope(req, res, req.params.scriptName)) {
+      return;
+    }
+
+    const { version, tag } = req.body || {};
+    if (version === undefined && tag === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either version or tag is required'
+      });
+    }
+
+    const revision = await scriptStore.rollback(req.params.scriptName, { version, tag });
+    scriptRunner.invalidateScript(req.params.scriptName);
+    req.audit.revision = revision.revision;
+    console.log(`⏪ ${req.params.scriptName} rolled back to version ${revision.version} (${revision.revision})`);
+    res.json({
+      success: true,
+      message: `Latest now points to version ${revision.version}`,
+      latest: revision
     });
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to roll back script');
   }
 });
 
+// Script cache counters (hits are compilations that reused V8 code cache data)
+app.get('/cache/scripts', authenticator.authorize('read'), (req, res) => {
+  res.json({
+    success: true,
+    cache: scriptRunner.getScriptCacheStats()
+  });
+});
+
 // Execute script endpoint
-app.post('/scripts/execute', async (req, res) => {
+// Pass "async": true in the body (or ?async=true) to queue the run and get a job ID back immediately
+app.post('/scripts/execute', authenticator.authorize('execute'), async (req, res) => {
+  const log = new ExecutionLog();
   try {
-    const { scriptPath, credentials, scriptName } = req.body;
+    const { scriptPath, credentials, scriptName, credentialRef, params, version, tag, sinks } = req.body;
+    const runAsync = req.body.async === true || req.query.async === 'true';
+    req.audit = { script: scriptName || scriptPath, executionId: log.executionId, credentialRef };
 
     // Validate required fields
-    if (!credentials) {
+    if (!credentials && !credentialRef) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either credentials or credentialRef is required'
+      });
+    }
+    if (credentials && credentialRef) {
       return res.status(400).json({
         success: false,
-        error: 'Credentials are required'
+        error: 'Provide either credentials or credentialRef, not both'
       });
     }
 
-    // Determine script path
-    let finalScriptPath;
+    if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params))) {
+      return res.status(400).json({
+        success: false,
+        error: 'params must be a JSON object'
+      });
+    }
+
+    if (sinks !== undefined && !(await checkSinks(res, sinks))) {
+      return;
+    }
+
+    // Async runs answer with the job; the result format is chosen when fetching the result
+    const format = runAsync ? 'json' : negotiateFormat(req, res);
+    if (!format) {
+      return;
+    }
+
+    // Make sure the referenced credential exists before running (secrets are resolved by the runner)
+    if (credentialRef) {
+      try {
+        await scriptRunner.vault.get(credentialRef);
+      } catch (error) {
+        return sendVaultError(res, error, 'Failed to read credential');
+      }
+    }
+
+    // Determine the script source (named scripts resolve to their latest or pinned revision)
+    let scriptSource;
+    let revision = null;
     if (scriptPath) {
-      finalScriptPath = scriptPath;
+      if (!allowScriptPaths || !req.principal.permissions.includes('admin')) {
+        return res.status(403).json({
+          success: false,
+          error: 'scriptPath is disabled; use scriptName (admins can use raw paths when ALLOW_SCRIPT_PATHS=true)'
+        });
+      }
+      if (version !== undefined || tag !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'version and tag can only be used with scriptName'
+        });
+      }
+      scriptSource = scriptPath;
+
+      // Check if script exists
+      try {
+        await fs.access(scriptSource);
+      } catch (error) {
+        return res.status(404).json({
+          success: false,
+          error: 'Script not found',
+          scriptPath: scriptSource
+        });
+      }
     } else if (scriptName) {
-      finalScriptPath = `./scripts/${scriptName}`;
+      if (rejectOutOfScope(req, res, scriptName)) {
+        return;
+      }
+      try {
+        const resolved = await scriptStore.resolve(scriptName, { version, tag });
+        scriptSource = resolved.source;
+        revision = resolved.revision;
+      } catch (error) {
+        return sendStoreError(res, error, 'Failed to resolve script version');
+      }
     } else {
       return res.status(400).json({
         success: false,
@@ -142,103 +612,612 @@ app.post('/scripts/execute', async (req, res) => {
       });
     }
 
-    // Check if script exists
-    try {
-      await fs.access(finalScriptPath);
-    } catch (error) {
-      return res.status(404).json({
-        success: false,
-        error: 'Script not found',
-        scriptPath: finalScriptPath
+    const runOptions = {
+      log,
+      credentialRef,
+      params,
+      sinks,
+      egress: egressPolicyFor(scriptName || scriptSource)
+    };
+    // Which code produced the result
+    const scriptInfo = {
+      name: scriptName || path.basename(scriptSource),
+      version: revision ? revision.version : null,
+      revision: revision ? revision.revision : null
+    };
+    Object.assign(log.metadata, {
+      script: scriptInfo.name,
+      version: scriptInfo.version,
+      revision: scriptInfo.revision,
+      trigger: runAsync ? 'api-async' : 'api',
+      triggeredBy: req.principal.id
+    });
+    req.audit.revision = scriptInfo.revision;
+    executionHistory.track(log, { credentialRef, params });
+
+    // Queue the script and respond with the job ID
+    if (runAsync) {
+      // Execution ID doubles as the job ID so logs can be streamed before the job starts
+      executionRegistry.register(log);
+      const job = jobQueue.enqueue(
+        (job) => {
+          job.log = log;
+          return scriptRunner.run(scriptSource, credentials, { ...runOptions, signal: job.controller.signal });
+        },
+        { scriptPath: scriptSource, script: scriptInfo, credentialRef, params },
+        { id: log.executionId }
+      );
+
+      return res.status(202).json({
+        success: true,
+        message: 'Script execution queued',
+        job: job,
+        statusUrl: `/jobs/${job.id}`,
+        resultUrl: `/jobs/${job.id}/result`,
+        logStreamUrl: `/executions/${log.executionId}/logs/stream`
       });
     }
 
     // Execute the script
-    console.log(`🚀 Executing script: ${finalScriptPath}`);
-    console.log(`📋 Credentials provided for: ${Object.keys(credentials).join(', ')}`);
+    console.log(`🚀 Executing script: ${typeof scriptSource === 'string' ? scriptSource : JSON.stringify(scriptSource)}`);
+    if (credentialRef) {
+      console.log(`🔐 Using credential reference: ${credentialRef}`);
+    } else {
+      console.log(`📋 Credentials provided for: ${Object.keys(credentials).join(', ')}`);
+    }
     
-    const result = await scriptRunner.run(finalScriptPath, credentials);
+    // Cancel the run if the client goes away before the response is sent
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    executionRegistry.register(log);
+
+    const exportOptions = {
+      columns: parseColumns(req.query.columns || req.body.columns),
+      script: scriptInfo.name,
+      executionId: log.executionId
+    };
+    const records = createRecordResponse(res, format, { ...exportOptions, sinks: Array.isArray(sinks) && sinks.length > 0 });
+    const result = await scriptRunner.run(scriptSource, credentials, {
+      ...runOptions,
+      signal: controller.signal,
+      onRecords: records.write
+    });
+
+    if (log.emitted > 0 && (format === 'ndjson' || format === 'csv')) {
+      return records.end();
+    }
+    if (log.emitted > 0 && format === 'xlsx') {
+      return sendRecords(res, records.collected, format, exportOptions);
+    }
+    if (format !== 'json') {
+      return sendRecords(res, result, format, exportOptions);
+    }
 
     res.json({
       success: true,
       message: 'Script executed successfully',
-      scriptPath: finalScriptPath,
+      scriptPath: scriptSource,
+      script: scriptInfo,
+      executionId: log.executionId,
       result: result,
+      // Records streamed with emit() (unless they went to sinks); request NDJSON or CSV to receive them without buffering
+      ...(log.emitted > 0 && records.collected ? { records: records.collected } : {}),
+      ...(log.emitted > 0 ? { emittedRecords: log.emitted } : {}),
+      deliveries: log.deliveries,
+      logs: log.entries,
       executedAt: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Script execution error:', error);
-    res.status(500).json({
+    // A streamed response cannot change its status; cut it off so the client sees it is incomplete
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    // Credentials, params or sinks rejected before the run are a client error
+    // Too many emitted records for a buffered response is a payload problem, not a server error
+    const statusByCode = { VALIDATION_FAILED: 400, SINK_INVALID: 400, EMIT_LIMIT_EXCEEDED: 413 };
+    res.status(statusByCode[error.code] || 500).json({
       success: false,
       error: 'Script execution failed',
       message: error.message,
+      errors: error.errors,
+      deliveries: log.deliveries,
+      executionId: log.executionId,
+      logs: log.entries,
       executedAt: new Date().toISOString()
     });
   }
 });
 
-// Get script content endpoint
-app.get('/scripts/:scriptName', async (req, res) => {
+// List jobs endpoint
+app.get('/jobs', authenticator.authorize('read'), (req, res) => {
+  const jobs = Array.from(jobQueue.jobs.values())
+    .filter(job => !req.query.status || job.status === req.query.status)
+    .filter(job => canAccessJob(req, job))
+    .map(job => jobQueue.toJSON(job));
+
+  res.json({
+    success: true,
+    jobs: jobs,
+    count: jobs.length,
+    queue: jobQueue.stats()
+  });
+});
+
+// Get job status endpoint
+app.get('/jobs/:jobId', authenticator.authorize('read'), (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  // Jobs of out-of-scope scripts are reported as missing
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: jobQueue.toJSON(job)
+  });
+});
+
+// Get job result endpoint
+app.get('/jobs/:jobId/result', authenticator.authorize('read'), (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (job.status === 'queued' || job.status === 'running') {
+    return res.status(202).json({
+      success: true,
+      message: 'Job has not finished yet',
+      job: jobQueue.toJSON(job)
+    });
+  }
+
+  if (job.status !== 'succeeded') {
+    return res.status(409).json({
+      success: false,
+      error: `Job ${job.status}`,
+      message: job.error,
+      job: jobQueue.toJSON(job),
+      deliveries: job.log ? job.log.deliveries : [],
+      logs: job.log ? job.log.entries : []
+    });
+  }
+
+  const format = negotiateFormat(req, res);
+  if (!format) {
+    return;
+  }
+  const emittedRecords = job.log ? job.log.emitted : 0;
+  if (format !== 'json' && emittedRecords > 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'Records emitted by async jobs are only delivered to sinks',
+      message: 'Run synchronously with Accept: application/x-ndjson to stream them, or add a sink',
+      emittedRecords: emittedRecords
+    });
+  }
+  if (format !== 'json') {
+    return sendRecords(res, job.result, format, {
+      columns: parseColumns(req.query.columns),
+      script: job.metadata.script ? job.metadata.script.name : path.basename(job.metadata.scriptPath),
+      executionId: job.id
+    });
+  }
+
+  res.json({
+    success: true,
+    job: jobQueue.toJSON(job),
+    result: job.result,
+    emittedRecords: emittedRecords,
+    deliveries: job.log ? job.log.deliveries : [],
+    logs: job.log ? job.log.entries : []
+  });
+});
+
+// Cancel job endpoint
+app.delete('/jobs/:jobId', authenticator.authorize('execute'), (req, res) => {
+  req.audit = { jobId: req.params.jobId };
+  const existing = jobQueue.get(req.params.jobId);
+  if (!existing || !canAccessJob(req, existing)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  const job = jobQueue.cancel(req.params.jobId);
+
+  // Jobs cancelled before starting never reach the runner, so close their log here
+  const log = executionRegistry.get(job.id);
+  if (log && job.status === 'cancelled') {
+    log.finish('cancelled', { error: 'Job cancelled before it started' });
+  }
+
+  res.json({
+    success: true,
+    message: job.status === 'cancelled' ? 'Job cancelled' : `Job already ${job.status}`,
+    job: job
+  });
+});
+
+// List past executions (?script=&status=&from=&to=&limit=&offset=)
+app.get('/executions', authenticator.authorize('read'), async (req, res) => {
   try {
-    const { scriptName } = req.params;
-    const scriptPath = `./scripts/${scriptName}`;
-    
-    const content = await fs.readFile(scriptPath, 'utf8');
-    const stats = await fs.stat(scriptPath);
-    
+    const { script, status, from, to, limit, offset } = req.query;
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be an ISO date`
+        });
+      }
+    }
+
+    const { executions, total } = await executionHistory.query({
+      script, status, from, to, limit, offset,
+      filter: record => authenticator.canAccessScript(req.principal, record.script)
+    });
     res.json({
       success: true,
-      script: {
-        name: scriptName,
-        path: scriptPath,
-        content: content,
-        size: stats.size,
-        modified: stats.mtime.toISOString()
-      }
+      executions: executions,
+      count: executions.length,
+      total: total
     });
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      res.status(404).json({
+    res.status(500).json({
+      success: false,
+      error: 'Failed to query executions',
+      message: error.message
+    });
+  }
+});
+
+// Get the full record of one execution (running executions report their live status)
+app.get('/executions/:executionId', authenticator.authorize('read'), async (req, res) => {
+  try {
+    let execution = await executionHistory.get(req.params.executionId);
+    if (!execution) {
+      const log = executionRegistry.get(req.params.executionId);
+      if (log && !log.finished) {
+        execution = {
+          executionId: log.executionId,
+          ...log.metadata,
+          status: log.startedAt ? 'running' : 'queued',
+          startedAt: log.startedAt,
+          logCount: log.entries.length
+        };
+      }
+    }
+
+    if (!execution || !authenticator.canAccessScript(req.principal, execution.script)) {
+      return res.status(404).json({
         success: false,
-        error: 'Script not found'
+        error: 'Execution not found'
       });
+    }
+
+    res.json({
+      success: true,
+      execution: execution
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read execution',
+      message: error.message
+    });
+  }
+});
+
+// Stream execution logs, progress and the final result as Server-Sent Events
+app.get('/executions/:executionId/logs/stream', authenticator.authorize('read'), (req, res) => {
+  const log = executionRegistry.get(req.params.executionId);
+  if (!log || !authenticator.canAccessScript(req.principal, log.metadata.script)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Execution not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const sendEntry = (entry) => {
+    sendEvent(entry.level === 'progress' ? 'progress' : 'log', entry);
+  };
+  const sendFinish = () => {
+    if (log.status === 'succeeded') {
+      sendEvent('result', { executionId: log.executionId, status: log.status, result: log.result });
     } else {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to read script',
-        message: error.message
+      sendEvent('error', { executionId: log.executionId, status: log.status, error: log.error });
+    }
+    res.end();
+  };
+
+  // Replay what has been logged so far, then follow live
+  log.entries.forEach(sendEntry);
+  if (log.finished) {
+    return sendFinish();
+  }
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  log.on('entry', sendEntry);
+  log.once('finish', sendFinish);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    log.off('entry', sendEntry);
+    log.off('finish', sendFinish);
+  });
+});
+
+// List schedules with their next run time
+app.get('/schedules', authenticator.authorize('read'), async (req, res) => {
+  try {
+    const schedules = (await scheduler.list())
+      .filter(schedule => authenticator.canAccessScript(req.principal, schedule.scriptName));
+    res.json({
+      success: true,
+      schedules: schedules,
+      count: schedules.length
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to list schedules');
+  }
+});
+
+// Create schedule endpoint: { name, scriptName, cron, timezone, credentialRef, params, sinks, overlap, catchUp, paused }
+app.post('/schedules', authenticator.authorize('execute'), async (req, res) => {
+  try {
+    const { name, scriptName, credentialRef, params, sinks } = req.body;
+    req.audit = { schedule: name, script: scriptName, credentialRef };
+    if (scriptName !== undefined && rejectOutOfScope(req, res, scriptName)) {
+      return;
+    }
+
+    if (typeof scriptName === 'string') {
+      let resolved;
+      try {
+        resolved = await scriptStore.resolve(scriptName);
+      } catch (error) {
+        return sendStoreError(res, error, 'Failed to resolve script');
+      }
+
+      // Reject bad params when the schedule is created rather than on its first run
+      if (params === undefined || (params !== null && typeof params === 'object' && !Array.isArray(params))) {
+        try {
+          validateParams(await scriptLoader.loadManifest(resolved.source), params || {});
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            errors: error.errors
+          });
+        }
+      }
+    }
+
+    if (credentialRef) {
+      try {
+        await scriptRunner.vault.get(credentialRef);
+      } catch (error) {
+        return sendVaultError(res, error, 'Failed to read credential');
+      }
+    }
+
+    // Schedules are readable by viewers, so webhook secrets must come from the vault
+    if (sinks !== undefined && !(await checkSinks(res, sinks, { allowInlineSecrets: false }))) {
+      return;
+    }
+
+    const schedule = await scheduler.create(req.body, { createdBy: req.principal.id });
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created successfully',
+      schedule: schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to create schedule');
+  }
+});
+
+// Get schedule endpoint
+app.get('/schedules/:name', authenticator.authorize('read'), async (req, res) => {
+  try {
+    const schedule = await scheduler.get(req.params.name);
+    if (rejectOutOfScope(req, res, schedule.scriptName)) {
+      return;
+    }
+    res.json({
+      success: true,
+      schedule: schedule
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to read schedule');
+  }
+});
+
+// Pause and resume endpoints (resuming does not catch up on runs missed while paused)
+['pause', 'resume'].forEach(action => {
+  app.post(`/schedules/:name/${action}`, authenticator.authorize('execute'), async (req, res) => {
+    try {
+      req.audit = { schedule: req.params.name };
+      const existing = await scheduler.get(req.params.name);
+      if (rejectOutOfScope(req, res, existing.scriptName)) {
+        return;
+      }
+      const schedule = await scheduler.setPaused(req.params.name, action === 'pause');
+      res.json({
+        success: true,
+        message: action === 'pause' ? 'Schedule paused' : 'Schedule resumed',
+        schedule: schedule
       });
+    } catch (error) {
+      sendScheduleError(res, error, `Failed to ${action} schedule`);
+    }
+  });
+});
+
+// Delete schedule endpoint (runs already started are not cancelled)
+app.delete('/schedules/:name', authenticator.authorize('execute'), async (req, res) => {
+  try {
+    req.audit = { schedule: req.params.name };
+    const existing = await scheduler.get(req.params.name);
+    if (rejectOutOfScope(req, res, existing.scriptName)) {
+      return;
     }
+    await scheduler.delete(req.params.name);
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully',
+      name: req.params.name
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'Failed to delete schedule');
   }
 });
 
-// Delete script endpoint
-app.delete('/scripts/:scriptName', async (req, res) => {
+// List credential sets (metadata only, never secret values)
+app.get('/credentials', authenticator.authorize('credentials'), async (req, res) => {
+  try {
+    const credentials = await scriptRunner.vault.list();
+    res.json({
+      success: true,
+      credentials: credentials,
+      count: credentials.length
+    });
+  } catch (error) {
+    sendVaultError(res, error, 'Failed to list credentials');
+  }
+});
+
+// Get credential metadata endpoint
+app.get('/credentials/:name', authenticator.authorize('credentials'), async (req, res) => {
+  try {
+    const credential = await scriptRunner.vault.get(req.params.name);
+    res.json({
+      success: true,
+      credential: credential
+    });
+  } catch (error) {
+    sendVaultError(res, error, 'Failed to read credential');
+  }
+});
+
+// Create credential endpoint: { name, secret: {...}, description, httpDefaults }
+app.post('/credentials', authenticator.authorize('credentials'), async (req, res) => {
+  try {
+    const { name, secret, description, httpDefaults } = req.body;
+    req.audit = { credential: name, operation: 'create' };
+    const credential = await scriptRunner.vault.create(name, secret, { description, httpDefaults });
+    res.status(201).json({
+      success: true,
+      message: 'Credential created successfully',
+      credential: credential
+    });
+  } catch (error) {
+    sendVaultError(res, error, 'Failed to create credential');
+  }
+});
+
+// Update credential endpoint: { secret, description, httpDefaults } (all optional)
+app.put('/credentials/:name', authenticator.authorize('credentials'), async (req, res) => {
+  try {
+    const { secret, description, httpDefaults } = req.body;
+    // Record which parts change, so secret rotations stand out from metadata edits
+    req.audit = {
+      credential: req.params.name,
+      operation: 'update',
+      fields: ['secret', 'description', 'httpDefaults'].filter(field => req.body[field] !== undefined)
+    };
+    const credential = await scriptRunner.vault.update(req.params.name, secret, { description, httpDefaults });
+    res.json({
+      success: true,
+      message: 'Credential updated successfully',
+      credential: credential
+    });
+  } catch (error) {
+    sendVaultError(res, error, 'Failed to update credential');
+  }
+});
+
+// Delete credential endpoint
+app.delete('/credentials/:name', authenticator.authorize('credentials'), async (req, res) => {
+  try {
+    req.audit = { credential: req.params.name, operation: 'delete' };
+    await scriptRunner.vault.delete(req.params.name);
+    res.json({
+      success: true,
+      message: 'Credential deleted successfully',
+      name: req.params.name
+    });
+  } catch (error) {
+    sendVaultError(res, error, 'Failed to delete credential');
+  }
+});
+
+// Get script content endpoint (?version= or ?tag= reads a stored revision)
+app.get('/scripts/:scriptName', authenticator.authorize('read'), async (req, res) => {
   try {
     const { scriptName } = req.params;
-    const scriptPath = `./scripts/${scriptName}`;
-    
-    await fs.unlink(scriptPath);
+    if (rejectOutOfScope(req, res, scriptName)) {
+      return;
+    }
+    const script = await scriptStore.read(scriptName, { version: req.query.version, tag: req.query.tag });
     
     res.json({
       success: true,
-      message: 'Script deleted successfully',
-      scriptName: scriptName
+      script: script
     });
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      res.status(404).json({
+    sendStoreError(res, error, 'Failed to read script');
+  }
+});
+
+// Delete script endpoint
+app.delete('/scripts/:scriptName', authenticator.authorize('delete'), async (req, res) => {
+  try {
+    const { scriptName } = req.params;
+    req.audit = { script: scriptName };
+    if (rejectOutOfScope(req, res, scriptName)) {
+      return;
+    }
+
+    // Stored revisions are kept so past executions stay traceable
+    const removed = await scriptStore.delete(scriptName);
+    scriptRunner.invalidateScript(scriptName);
+    if (!removed) {
+      return res.status(404).json({
         success: false,
         error: 'Script not found'
       });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to delete script',
-        message: error.message
-      });
     }
+    
+    res.json({
+      success: true,
+      message: 'Script deleted successfully',
+      scriptName: scriptName
+    });
+  } catch (error) {
+    sendStoreError(res, error, 'Failed to delete script');
   }
 });
 
@@ -246,9 +1225,10 @@ app.delete('/scripts/:scriptName', async (req, res) => {
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
+      return res.status(413).json({
         success: false,
-        error: 'File too large'
+        error: 'File too large',
+        message: `Scripts are limited to ${scriptStore.maxSize} bytes`
       });
     }
   }
@@ -271,7 +1251,28 @@ app.use((req, res) => {
       'POST /scripts/upload',
       'POST /scripts/execute',
       'GET /scripts/:scriptName',
-      'DELETE /scripts/:scriptName'
+      'DELETE /scripts/:scriptName',
+      'GET /scripts/:scriptName/versions',
+      'POST /scripts/:scriptName/rollback',
+      'GET /cache/scripts',
+      'GET /jobs',
+      'GET /jobs/:jobId',
+      'GET /jobs/:jobId/result',
+      'DELETE /jobs/:jobId',
+      'GET /executions',
+      'GET /executions/:executionId',
+      'GET /executions/:executionId/logs/stream',
+      'GET /schedules',
+      'POST /schedules',
+      'GET /schedules/:name',
+      'POST /schedules/:name/pause',
+      'POST /schedules/:name/resume',
+      'DELETE /schedules/:name',
+      'GET /credentials',
+      'POST /credentials',
+      'GET /credentials/:name',
+      'PUT /credentials/:name',
+      'DELETE /credentials/:name'
     ]
   });
 });
@@ -286,10 +1287,41 @@ app.listen(PORT, () => {
   console.log(`   POST /scripts/execute        - Execute a script with credentials`);
   console.log(`   GET  /scripts/:scriptName    - Get script content`);
   console.log(`   DELETE /scripts/:scriptName  - Delete a script`);
+  console.log(`   GET  /scripts/:name/versions - List stored script versions`);
+  console.log(`   POST /scripts/:name/rollback - Point latest at an earlier version`);
+  console.log(`   GET  /cache/scripts          - Script cache hit/miss counters`);
+  console.log(`   GET  /jobs                   - List async jobs`);
+  console.log(`   GET  /jobs/:jobId            - Get async job status`);
+  console.log(`   GET  /jobs/:jobId/result     - Get async job result`);
+  console.log(`   DELETE /jobs/:jobId          - Cancel an async job`);
+  console.log(`   GET  /executions             - Query past executions`);
+  console.log(`   GET  /executions/:id         - Get an execution record`);
+  console.log(`   GET  /executions/:id/logs/stream - Stream execution logs (SSE)`);
+  console.log(`   GET  /schedules              - List cron schedules`);
+  console.log(`   POST /schedules              - Create a cron schedule`);
+  console.log(`   POST /schedules/:name/pause  - Pause (or /resume) a schedule`);
+  console.log(`   DELETE /schedules/:name      - Delete a schedule`);
+  console.log(`   GET  /credentials            - List credential sets (metadata only)`);
+  console.log(`   POST /credentials            - Store an encrypted credential set`);
+  console.log(`   PUT  /credentials/:name      - Update a credential set`);
+  console.log(`   DELETE /credentials/:name    - Delete a credential set`);
   console.log(`\n💡 Example usage:`);
   console.log(`   curl -X POST http://localhost:${PORT}/scripts/execute \\`);
-  console.log(`     -H "Content-Type: application/json" \\`);
-  console.log(`     -d '{"scriptName":"jamf-device-fetcher.js","credentials":{"subdomain":"josyscom","username":"PuneetAgarwal","password":"LTd.cwsZD3vbyJBA"}}'`);
+  console.log(`     -H "Content-Type: application/json" -H "X-API-Key: <key>" \\`);
+  console.log(`     -d '{"scriptName":"jamf-device-fetcher.js","credentialRef":"jamf-prod"}'`);
+  if (authenticator.disabled) {
+    console.log(`\n⚠️  AUTH_DISABLED=true: every request is treated as an admin`);
+  } else if (!authenticator.isConfigured()) {
+    console.log(`\n⚠️  No API keys or JWT_SECRET configured: all requests except /health will be rejected`);
+  }
+  if (!scriptRunner.vault.isUnlocked()) {
+    console.log(`\n⚠️  CREDENTIAL_MASTER_KEY is not set: credential references are disabled`);
+  }
+  if (scriptDatabase) {
+    console.log(`\n🗄️  SCRIPT_STORAGE=database: scripts are stored in ${scriptDatabase.adapter.path || 'the script database'}`);
+  }
+
+  scheduler.start().catch(error => console.error('❌ Failed to start scheduler:', error.message));
 });
 
 module.exports = app;
@@ -0,0 +1,30 @@
+/**
+ * Cron regression checks: run with `npm test`
+ * Covers America/New_York across both DST changes, where local days are 23 and 25 hours long.
+ */
+const assert = require('assert');
+const { parseCron, nextRun } = require('../lib/cron');
+
+const cases = [
+  // Spring forward (Sun 2026-03-08): the next Monday midnight is not skipped
+  ['0 0 * * 1', '2026-03-06T12:00:00Z', '2026-03-09T04:00:00.000Z'],
+  ['30 0 9 3 *', '2026-03-01T00:00:00Z', '2026-03-09T04:30:00.000Z'],
+  ['0 0 * * *', '2026-03-08T12:00:00Z', '2026-03-09T04:00:00.000Z'],
+  // 02:30 does not exist on 2026-03-08
+  ['30 2 * * *', '2026-03-07T12:00:00Z', '2026-03-09T06:30:00.000Z'],
+  // Fall back (Sun 2026-11-01): midnights stay on local midnight
+  ['0 0 * * 1', '2026-10-30T12:00:00Z', '2026-11-02T05:00:00.000Z'],
+  ['0 0 * * *', '2026-10-31T12:00:00Z', '2026-11-01T04:00:00.000Z'],
+  ['0 0 * * *', '2026-11-01T12:00:00Z', '2026-11-02T05:00:00.000Z'],
+  ['0 0 2 11 *', '2026-10-01T00:00:00Z', '2026-11-02T05:00:00.000Z'],
+  // 01:30 happens twice on 2026-11-01 and runs once
+  ['30 1 * * *', '2026-10-31T12:00:00Z', '2026-11-01T05:30:00.000Z'],
+  ['30 1 * * *', '2026-11-01T05:30:00Z', '2026-11-02T06:30:00.000Z'],
+];
+
+cases.forEach(([expression, after, expected]) => {
+  const actual = nextRun(parseCron(expression), new Date(after), 'America/New_York').toISOString();
+  assert.strictEqual(actual, expected, `nextRun("${expression}", ${after}) in America/New_York`);
+});
+
+console.log(`✅ cron: ${cases.length} checks passed`);